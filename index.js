@@ -5,18 +5,84 @@
 //  - WHATSAPP_TOKEN           (Graph API token) - optional if not sending messages
 //  - WHATSAPP_PHONE_ID        (WhatsApp phone ID used by Graph API) - optional
 //  - GOOGLE_SHEET_ID          (sheet ID for loading flow)
-//  - GEMINI_API_KEY           (Gemini AI key)
+//  - FLOW_SOURCE              (optional, "sheet" | "sheets_api" | "file" | "firestore" | "http"; default sheet,
+//                              or file / http when FLOW_FILE / FLOW_URL is set) - where flow, templates and KB rows come from
+//  - FLOW_FILE                (source file) - .csv/.json/.yaml file, or a directory with flow.*, templates.*, kb.*
+//  - FLOW_URL                 (source http) - CSV/JSON/YAML document; FLOW_URL_TOKEN (optional) is sent as a bearer token
+//  - FLOW_TAB / TEMPLATE_TAB / KB_TAB (optional, default flow / templates / kb; sheets_api flow defaults to the first tab)
+//                              - tab titles (sheets_api), collection names (firestore), keys or file names (file / http)
+//  - FLOW_PUBLISH_MODE        (optional, "auto" | "manual", default auto) - manual: loads only go live via /flow/publish (needs FLOW_VERSION_STORE=firestore)
+//  - FLOW_VERSION_STORE       (optional, "memory" | "firestore", default memory) - flow versions and the live pointer
+//  - FLOW_VERSION_LIMIT       (optional, default 20) - versions listed (and kept in memory) per flow
+//  - FLOWS                    (optional) - JSON array (or path to a JSON file) of named flows; see "Named flows" below
+//  - GOOGLE_SERVICE_ACCOUNT_JSON (source sheets_api) - service account JSON or a path to it; or GOOGLE_API_KEY
+//  - AI_PROVIDER              (optional, "gemini" | "vertex" | "openai" | "echo", default gemini)
+//  - AI_MODEL                 (optional) - model for the selected provider; sheet column ai_model overrides per node
+//  - AI_TEMPERATURE           (optional) - sheet column ai_temperature overrides per node
+//  - AI_TIMEOUT_MS            (optional, default 10000) - per attempt
+//  - AI_MAX_RETRIES           (optional, default 2) - retries on 429/5xx/network errors
+//  - GEMINI_API_KEY           (Gemini AI key, provider gemini)
+//  - GEMINI_MODEL             (optional, default gemini-2.0-flash)
+//  - GEMINI_API_BASE          (optional) - override to point at a local stub model
+//  - VERTEX_PROJECT           (provider vertex) / VERTEX_LOCATION (optional, default us-central1)
+//  - OPENAI_BASE_URL          (optional, default https://api.openai.com/v1; provider openai, any compatible server)
+//  - OPENAI_API_KEY / OPENAI_MODEL (optional, default gpt-4o-mini)
+//  - AI_MODE                  (optional, "classify" | "generate", default classify) - classify routes back into the flow first
+//  - AI_INTENT_THRESHOLD      (optional, default 0.7) - minimum confidence to send a classified node
+//  - AI_SYSTEM_PROMPT         (optional) - default persona; a flow row with type=ai_prompt overrides it live
+//  - AI_HISTORY_TURNS         (optional, default 6) - prior messages sent to the model
+//  - AI_CONTEXT_NODES         (optional, default 4) - flow node texts sent as grounding
 //  - SHEET_REFRESH_SECONDS    (optional, default 300)
+//  - SESSION_STORE            (optional, "memory" | "firestore", default memory)
+//  - SESSION_TIMEOUT_SECONDS  (optional, default 1800) - idle time before user is sent back to start node
+//  - START_NODE_ID            (optional, default: first node with type=start, else first row)
+//  - DEDUPE_STORE             (optional, "memory" | "firestore", default memory; use firestore with >1 instance)
+//  - DEDUPE_TTL_SECONDS       (optional, default 86400) - how long a message id is remembered
+//  - MESSAGE_STORE            (optional, "memory" | "firestore", default memory) - outbound message + status log
+//  - MESSAGE_TTL_SECONDS      (optional, default 604800) - retention for the in-memory message log
+//  - TEMPLATE_SHEET_GID       (optional, source sheet) - gid of the sheet tab holding template definitions
+//  - KB_SHEET_GID             (optional, source sheet) - gid of the knowledge-base tab (question, answer, tags, source_url)
+//  - KB_TOP_K                 (optional, default 3) - passages given to the AI fallback
+//  - KB_MIN_SCORE             (optional, default 1.0) - BM25 score below which a passage is not relevant
+//  - REENGAGEMENT_TEMPLATE    (optional) - template key/name sent when a free-form send hits the 24h window
+//  - MATCH_THRESHOLD          (optional, default 0.6) - fuzzy keyword score; sheet column match_threshold overrides per node
+//  - DEFAULT_LOCALE           (optional, default en)
+//  - SUPPORTED_LOCALES        (optional, default en,hi) - sheet columns text_<locale>, cta1_<locale>, ... hold translations
+//  - FLOW_TIMEZONE            (optional, default Asia/Kolkata) - time zone for hour/time/weekday in condition nodes
+//  - FLOW_MAX_HOPS            (optional, default 20) - nodes run for one inbound message before the engine stops
+//  - FLOW_MAX_DELAY_SECONDS   (optional, default 10) - cap on a delay node's delay_seconds
+//  - HTTP_NODE_TIMEOUT_MS     (optional, default 5000) - http node request timeout; sheet column http_timeout_ms overrides
+//  - HTTP_NODE_RETRIES        (optional, default 1) - http node retries on 429/5xx/network errors; column http_retries overrides
+//  - FLOW_SECRET_<NAME>       (optional) - secrets http nodes reference as {{secret.NAME}} in http_url / http_headers
+//  - META_APP_SECRET          (Meta app secret for X-Hub-Signature-256; unsigned POSTs are rejected when set)
+//  - OUTBOUND_RATE_PER_SECOND (optional, default 80) - Graph sends per second per phone number id
+//  - OUTBOUND_MAX_ATTEMPTS    (optional, default 5) - attempts per message on transient errors before it is dead-lettered
+//  - OUTBOUND_RETRY_BASE_MS   (optional, default 1000) / OUTBOUND_RETRY_MAX_MS (optional, default 60000) - backoff range
+//  - OUTBOUND_TIMEOUT_MS      (optional, default 10000) - per send attempt
+//  - DEAD_LETTER_STORE        (optional, "memory" | "firestore", default memory) - messages that failed for good
+//  - ADMIN_TOKENS             (comma-separated name:role:token, role viewer | operator) - access to the /admin API;
+//                              without it every /admin request is rejected
+//  - ADMIN_RATE_LIMIT         (optional, default 60) - /admin requests per minute per token (per IP before auth)
+//  - TRUST_PROXY_HOPS         (optional, default 1) - proxies in front of the app (Cloud Run: 1, plus 1 behind a load
+//                              balancer); client IPs for rate limits and logs come from X-Forwarded-For through them
+//  - AUDIT_STORE              (optional, "memory" | "firestore", default memory) - log of /admin mutations
 // --------------------------------------------------
 
 require('dotenv').config();
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const fs = require('fs');
+const path = require('path');
 const express = require('express');
 const NodeCache = require('node-cache');
+const { Firestore } = require('@google-cloud/firestore');
 const Papa = require('papaparse');
 const stringSimilarity = require('string-similarity');
+const YAML = require('yaml');
 
 const app = express();
-app.use(express.json({ limit: "20mb" }));
+// Keep the exact bytes Meta signed; re-serialising req.body would not match the signature
+app.use(express.json({ limit: "20mb", verify: (req, res, buf) => { req.rawBody = buf; } }));
 
 // Universal fetch
 let fetcher = typeof globalThis.fetch === 'function' ? globalThis.fetch : null;
@@ -29,9 +95,134 @@ const WHATSAPP_PHONE_ID = process.env.WHATSAPP_PHONE_ID || null;
 const GOOGLE_SHEET_ID = process.env.GOOGLE_SHEET_ID || null;
 const SHEET_REFRESH_SECONDS = Number(process.env.SHEET_REFRESH_SECONDS || 300);
 const GEMINI_API_KEY = process.env.GEMINI_API_KEY || null;
+const GEMINI_MODEL = process.env.GEMINI_MODEL || "gemini-2.0-flash";
+const GEMINI_API_BASE = process.env.GEMINI_API_BASE || "https://generativelanguage.googleapis.com/v1beta";
+const AI_PROVIDER = (process.env.AI_PROVIDER || "gemini").toLowerCase();
+const AI_MODEL = process.env.AI_MODEL || null;
+const AI_TEMPERATURE = process.env.AI_TEMPERATURE ? Number(process.env.AI_TEMPERATURE) : null;
+const AI_TIMEOUT_MS = Number(process.env.AI_TIMEOUT_MS || 10000);
+const AI_MAX_RETRIES = Number(process.env.AI_MAX_RETRIES || 2);
+const VERTEX_PROJECT = process.env.VERTEX_PROJECT || null;
+const VERTEX_LOCATION = process.env.VERTEX_LOCATION || "us-central1";
+const OPENAI_BASE_URL = (process.env.OPENAI_BASE_URL || "https://api.openai.com/v1").replace(/\/$/, "");
+const OPENAI_API_KEY = process.env.OPENAI_API_KEY || null;
+const OPENAI_MODEL = process.env.OPENAI_MODEL || "gpt-4o-mini";
+// Sent when the model refuses the prompt or its answer for safety reasons
+const AI_BLOCKED_REPLY = "Sorry, I can't help with that here. Type \"hi\" to see what I can do.";
+const AI_MODE = (process.env.AI_MODE || "classify").toLowerCase();
+const AI_INTENT_THRESHOLD = Number(process.env.AI_INTENT_THRESHOLD || 0.7);
+const AI_HISTORY_TURNS = Number(process.env.AI_HISTORY_TURNS || 6);
+const AI_CONTEXT_NODES = Number(process.env.AI_CONTEXT_NODES || 4);
+// {{context}} is replaced with the most relevant flow node texts
+const AI_SYSTEM_PROMPT = process.env.AI_SYSTEM_PROMPT || [
+  "You are Avasar bot, the WhatsApp assistant of Avasar, a citizen-driven platform.",
+  "Answer briefly and politely in under 600 characters, in plain text suitable for WhatsApp.",
+  "Use only the Avasar information below when talking about Avasar; if it does not cover the question, say so and suggest typing \"hi\" to see the menu.",
+  "",
+  "Avasar information:",
+  "{{context}}"
+].join("\n");
+const SESSION_STORE = (process.env.SESSION_STORE || "memory").toLowerCase();
+const SESSION_TIMEOUT_SECONDS = Number(process.env.SESSION_TIMEOUT_SECONDS || 1800);
+const START_NODE_ID = process.env.START_NODE_ID || null;
+const META_APP_SECRET = process.env.META_APP_SECRET || null;
+const GRAPH_API_BASE = "https://graph.facebook.com/v17.0";
+const MATCH_THRESHOLD = Number(process.env.MATCH_THRESHOLD || 0.6);
+const DEFAULT_LOCALE = (process.env.DEFAULT_LOCALE || "en").toLowerCase();
+const SUPPORTED_LOCALES = (process.env.SUPPORTED_LOCALES || "en,hi").split(",").map(l => l.trim().toLowerCase()).filter(Boolean);
+const LANGUAGE_NAMES = {
+  en: "English", hi: "Hindi", mr: "Marathi", bn: "Bengali", ta: "Tamil", te: "Telugu",
+  gu: "Gujarati", kn: "Kannada", ml: "Malayalam", pa: "Punjabi", or: "Odia", ur: "Urdu"
+};
+const TEMPLATE_SHEET_GID = process.env.TEMPLATE_SHEET_GID || null;
+const FLOW_FILE = process.env.FLOW_FILE || null;
+const FLOW_URL = process.env.FLOW_URL || null;
+const FLOW_URL_TOKEN = process.env.FLOW_URL_TOKEN || null;
+const FLOW_SOURCE = (process.env.FLOW_SOURCE || (FLOW_FILE ? "file" : FLOW_URL ? "http" : "sheet")).toLowerCase();
+const FLOW_TAB = process.env.FLOW_TAB || null;
+const FLOWS = process.env.FLOWS || null;
+const FLOW_PUBLISH_MODE = (process.env.FLOW_PUBLISH_MODE || "auto").toLowerCase();
+const FLOW_VERSION_STORE = (process.env.FLOW_VERSION_STORE || "memory").toLowerCase();
+const FLOW_VERSION_LIMIT = Number(process.env.FLOW_VERSION_LIMIT || 20);
+const TEMPLATE_TAB = process.env.TEMPLATE_TAB || "templates";
+const KB_TAB = process.env.KB_TAB || "kb";
+const GOOGLE_SERVICE_ACCOUNT_JSON = process.env.GOOGLE_SERVICE_ACCOUNT_JSON || null;
+const GOOGLE_API_KEY = process.env.GOOGLE_API_KEY || null;
+const REENGAGEMENT_TEMPLATE = process.env.REENGAGEMENT_TEMPLATE || null;
+const KB_SHEET_GID = process.env.KB_SHEET_GID || null;
+const KB_TOP_K = Number(process.env.KB_TOP_K || 3);
+const KB_MIN_SCORE = Number(process.env.KB_MIN_SCORE || 1.0);
+// Sent instead of an AI answer when the knowledge base has nothing relevant
+const KB_NO_ANSWER_REPLY = "Sorry, I don't know the answer to that yet. Type \"hi\" to see the menu.";
+// Free-form messages are only allowed within 24h of the user's last message
+const SERVICE_WINDOW_MS = 24 * 3600 * 1000;
+const REENGAGEMENT_ERROR_CODE = 131047;
+const DEDUPE_STORE = (process.env.DEDUPE_STORE || "memory").toLowerCase();
+const DEDUPE_TTL_SECONDS = Number(process.env.DEDUPE_TTL_SECONDS || 86400);
+const MESSAGE_STORE = (process.env.MESSAGE_STORE || "memory").toLowerCase();
+const MESSAGE_TTL_SECONDS = Number(process.env.MESSAGE_TTL_SECONDS || 7 * 86400);
+const FLOW_TIMEZONE = process.env.FLOW_TIMEZONE || "Asia/Kolkata";
+const FLOW_MAX_HOPS = Number(process.env.FLOW_MAX_HOPS || 20);
+const FLOW_MAX_DELAY_SECONDS = Number(process.env.FLOW_MAX_DELAY_SECONDS || 10);
+const HTTP_NODE_TIMEOUT_MS = Number(process.env.HTTP_NODE_TIMEOUT_MS || 5000);
+const HTTP_NODE_RETRIES = Number(process.env.HTTP_NODE_RETRIES || 1);
+const OUTBOUND_RATE_PER_SECOND = Number(process.env.OUTBOUND_RATE_PER_SECOND || 80);
+const OUTBOUND_MAX_ATTEMPTS = Number(process.env.OUTBOUND_MAX_ATTEMPTS || 5);
+const OUTBOUND_RETRY_BASE_MS = Number(process.env.OUTBOUND_RETRY_BASE_MS || 1000);
+const OUTBOUND_RETRY_MAX_MS = Number(process.env.OUTBOUND_RETRY_MAX_MS || 60000);
+const OUTBOUND_TIMEOUT_MS = Number(process.env.OUTBOUND_TIMEOUT_MS || 10000);
+const DEAD_LETTER_STORE = (process.env.DEAD_LETTER_STORE || "memory").toLowerCase();
+const ADMIN_TOKENS = process.env.ADMIN_TOKENS || null;
+const ADMIN_RATE_LIMIT = Number(process.env.ADMIN_RATE_LIMIT || 60);
+const AUDIT_STORE = (process.env.AUDIT_STORE || "memory").toLowerCase();
+const TRUST_PROXY_HOPS = Number(process.env.TRUST_PROXY_HOPS ?? 1);
+
+// WhatsApp limits: 3 reply buttons (20 char titles); lists take 10 rows (24 char titles, 72 char descriptions)
+const MAX_CTAS = 10;
+const MAX_REPLY_BUTTONS = 3;
+const MAX_TEXT_LENGTH = 4096;
+const MAX_INTERACTIVE_BODY_LENGTH = 1024;
+
+// req.ip is the caller, not Cloud Run's front end (which would put every client in one rate-limit bucket)
+app.set('trust proxy', TRUST_PROXY_HOPS);
 
 const flowCache = new NodeCache({ stdTTL: SHEET_REFRESH_SECONDS, checkperiod: 60 });
 
+// Process-local counters, reported on /health
+const metrics = {
+  webhook_received: 0,
+  signature_missing: 0,
+  signature_invalid: 0,
+  messages_processed: 0,
+  messages_duplicate: 0,
+  session_conflicts: 0,
+  ai_requests: 0,
+  ai_errors: 0,
+  ai_retries: 0,
+  ai_blocked: 0,
+  ai_prompt_tokens: 0,
+  ai_output_tokens: 0,
+  flow_hop_limit: 0,
+  http_requests: 0,
+  http_errors: 0,
+  http_retries: 0,
+  outbound_sent: 0,
+  outbound_retries: 0,
+  outbound_dead_lettered: 0,
+  outbound_pending: 0,
+  admin_unauthorized: 0,
+  admin_rate_limited: 0
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Firestore is only created when a feature asks for it (needs GCP credentials)
+let firestoreDb = null;
+function getFirestore() {
+  if (!firestoreDb) firestoreDb = new Firestore();
+  return firestoreDb;
+}
+
 // Fallback node
 const FALLBACK_NODE = {
   node_id: "fallback",
@@ -40,63 +231,797 @@ const FALLBACK_NODE = {
   ctas: []
 };
 
-// ---------------------- Google Sheet CSV loader ------------------------
-async function loadFlowFromGoogleSheet() {
-  if (!GOOGLE_SHEET_ID) {
-    console.warn("No GOOGLE_SHEET_ID configured. Using fallback flow.");
-    flowCache.set("chatFlow", [FALLBACK_NODE]);
-    return [FALLBACK_NODE];
+// ---------------------- Flow sources ------------------------
+// Every source returns plain rows keyed by sheet column names, so they all share the row-to-node mapping below.
+// fetchRows(tab) takes a logical tab ("flow", "templates", "kb") and returns null when the source has no such tab.
+const SOURCE_FORMATS = { ".csv": "csv", ".json": "json", ".yaml": "yaml", ".yml": "yaml" };
+
+function getTabName(tab, tabs = {}) {
+  return tabs[tab] || tab;
+}
+
+function parseFlowDocument(text, format) {
+  if (format === "json") return JSON.parse(text);
+  if (format === "yaml") return YAML.parse(text) ?? [];
+  return Papa.parse(text, { header: true, skipEmptyLines: true, transformHeader: h => h?.trim() }).data;
+}
+
+// A bare list (or CSV) is the flow tab; an object holds { flow: [...], templates: [...], kb: [...] }
+function pickTab(doc, tab, tabs) {
+  if (Array.isArray(doc)) return tab === "flow" ? doc : null;
+  const rows = doc?.[getTabName(tab, tabs)];
+  return Array.isArray(rows) ? rows : null;
+}
+
+// gid selects a tab; without it the export returns the first tab. The sheet must be shared publicly.
+function createSheetCsvSource(config) {
+  return {
+    name: "sheet",
+    async fetchRows(tab) {
+      const gid = { flow: null, templates: config.template_gid, kb: config.kb_gid }[tab];
+      if (!config.sheet_id || (tab !== "flow" && !gid)) return null;
+      const csvUrl = `https://docs.google.com/spreadsheets/d/${config.sheet_id}/export?format=csv${gid ? `&gid=${encodeURIComponent(gid)}` : ""}`;
+      console.log("Loading Google Sheet CSV:", csvUrl);
+      const resp = await fetcher(csvUrl);
+      if (!resp.ok) throw new Error(`Google sheet HTTP ${resp.status}`);
+      return parseFlowDocument(await resp.text(), "csv");
+    }
+  };
+}
+
+// Private sheets through the Sheets API; tabs are picked by title (FLOW_TAB defaults to the first tab)
+function createSheetsApiSource(config) {
+  const { GoogleSpreadsheet } = require('google-spreadsheet');
+  async function openDoc() {
+    const doc = new GoogleSpreadsheet(config.sheet_id);
+    if (GOOGLE_SERVICE_ACCOUNT_JSON) {
+      const raw = GOOGLE_SERVICE_ACCOUNT_JSON.trim();
+      const creds = JSON.parse(raw.startsWith("{") ? raw : await fs.promises.readFile(raw, "utf8"));
+      await doc.useServiceAccountAuth({ client_email: creds.client_email, private_key: creds.private_key });
+    } else if (GOOGLE_API_KEY) {
+      doc.useApiKey(GOOGLE_API_KEY);
+    } else {
+      throw new Error("sheets_api source needs GOOGLE_SERVICE_ACCOUNT_JSON or GOOGLE_API_KEY");
+    }
+    await doc.loadInfo();
+    return doc;
+  }
+  return {
+    name: "sheets_api",
+    async fetchRows(tab) {
+      if (!config.sheet_id) return null;
+      const doc = await openDoc();
+      const title = tab === "flow" ? config.tabs.flow : getTabName(tab, config.tabs);
+      const sheet = title ? doc.sheetsByTitle[title] : doc.sheetsByIndex[0];
+      if (!sheet) {
+        if (tab === "flow") throw new Error(`Sheet tab "${title}" not found`);
+        return null;
+      }
+      console.log(`Loading Sheets API tab "${sheet.title}"`);
+      const rows = await sheet.getRows();
+      return rows.map(row => Object.fromEntries(sheet.headerValues.map(h => [h, row[h] ?? ""])));
+    }
+  };
+}
+
+// file is a .csv/.json/.yaml file, or a directory holding flow.*, templates.* and kb.*; read fresh on every load
+function createFileSource(config) {
+  const target = config.file;
+  const readDoc = async file => parseFlowDocument(await fs.promises.readFile(file, "utf8"), SOURCE_FORMATS[path.extname(file).toLowerCase()] || "csv");
+  return {
+    name: "file",
+    async fetchRows(tab) {
+      if (!target) return null;
+      const stat = await fs.promises.stat(target);
+      if (!stat.isDirectory()) return pickTab(await readDoc(target), tab, config.tabs);
+      const files = await fs.promises.readdir(target);
+      const file = files.find(f => path.basename(f, path.extname(f)) === getTabName(tab, config.tabs) && SOURCE_FORMATS[path.extname(f).toLowerCase()]);
+      if (!file) {
+        if (tab === "flow") throw new Error(`No ${getTabName(tab, config.tabs)}.csv/.json/.yaml in ${target}`);
+        return null;
+      }
+      const doc = await readDoc(path.join(target, file));
+      return Array.isArray(doc) ? doc : pickTab(doc, tab, config.tabs);
+    }
+  };
+}
+
+// One collection per tab (tabs.flow, tabs.templates, tabs.kb); documents hold the sheet columns, ordered by a row field
+function createFirestoreFlowSource(config) {
+  return {
+    name: "firestore",
+    async fetchRows(tab) {
+      const snap = await getFirestore().collection(getTabName(tab, config.tabs)).get();
+      if (snap.empty && tab !== "flow") return null;
+      return snap.docs
+        .map(d => (tab === "flow" ? { node_id: d.id, ...d.data() } : d.data()))
+        .sort((a, b) => (Number(a.row) || 0) - (Number(b.row) || 0));
+    }
+  };
+}
+
+// url serves CSV, JSON or YAML (by content type or extension); url_token is sent as a bearer token
+function createHttpFlowSource(config) {
+  const { url, url_token: token } = config;
+  return {
+    name: "http",
+    async fetchRows(tab) {
+      if (!url) return null;
+      console.log("Loading flow from URL:", url);
+      const resp = await fetcher(url, { headers: token ? { Authorization: `Bearer ${token}` } : {} });
+      if (!resp.ok) throw new Error(`Flow URL HTTP ${resp.status}`);
+      const type = resp.headers?.get?.("content-type") || "";
+      const ext = SOURCE_FORMATS[path.extname(new URL(url).pathname).toLowerCase()];
+      const format = type.includes("json") ? "json" : type.includes("yaml") ? "yaml" : ext || "csv";
+      return pickTab(parseFlowDocument(await resp.text(), format), tab, config.tabs);
+    }
+  };
+}
+
+const FLOW_SOURCES = {
+  sheet: createSheetCsvSource,
+  sheets_api: createSheetsApiSource,
+  file: createFileSource,
+  firestore: createFirestoreFlowSource,
+  http: createHttpFlowSource
+};
+
+function createFlowSource(config) {
+  const factory = FLOW_SOURCES[config.source];
+  if (!factory) {
+    console.error(`Unknown source "${config.source}" for flow "${config.name}", using sheet`);
+    return createSheetCsvSource(config);
+  }
+  return factory(config);
+}
+
+// ---------------------- Named flows ------------------------
+// FLOWS (a JSON array, or a path to a JSON file) declares several flows, e.g.
+//   [{ "name": "main", "sheet_id": "...", "default": true, "phone_number_ids": ["1234"] },
+//    { "name": "volunteer", "file": "flows/volunteer", "entry_keywords": ["volunteer"], "referrals": ["ad_42"], "persona": "..." }]
+// Keys: name, source, sheet_id, template_gid, kb_gid, file, url, url_token, tabs { flow, templates, kb }, refresh_seconds,
+// start_node_id, persona, fallback_text, publish_mode, phone_number_ids, entry_keywords, referrals, default.
+// Unset keys fall back to the single-flow env vars; without FLOWS there is one flow named "default".
+function normalizeFlowConfig(entry) {
+  const list = v => (Array.isArray(v) ? v : v ? [v] : []).map(x => x.toString().trim()).filter(Boolean);
+  return {
+    name: entry.name.toString().trim(),
+    source: (entry.source || (entry.file ? "file" : entry.url ? "http" : FLOW_SOURCE)).toLowerCase(),
+    sheet_id: entry.sheet_id || GOOGLE_SHEET_ID,
+    template_gid: entry.template_gid || TEMPLATE_SHEET_GID,
+    kb_gid: entry.kb_gid || KB_SHEET_GID,
+    file: entry.file || FLOW_FILE,
+    url: entry.url || FLOW_URL,
+    url_token: entry.url_token || FLOW_URL_TOKEN,
+    tabs: { flow: FLOW_TAB, templates: TEMPLATE_TAB, kb: KB_TAB, ...(entry.tabs || {}) },
+    refresh_seconds: Number(entry.refresh_seconds) || SHEET_REFRESH_SECONDS,
+    start_node_id: entry.start_node_id || START_NODE_ID,
+    persona: entry.persona || null,
+    fallback_text: entry.fallback_text || null,
+    publish_mode: (entry.publish_mode || FLOW_PUBLISH_MODE).toLowerCase(),
+    phone_number_ids: list(entry.phone_number_ids),
+    entry_keywords: list(entry.entry_keywords),
+    referrals: list(entry.referrals),
+    default: !!entry.default
+  };
+}
+
+function loadFlowConfigs() {
+  const configs = new Map();
+  let entries = [];
+  if (FLOWS) {
+    try {
+      const raw = FLOWS.trim();
+      entries = JSON.parse(raw.startsWith("[") ? raw : fs.readFileSync(raw, "utf8"));
+      if (!Array.isArray(entries)) throw new Error("FLOWS must be a JSON array");
+    } catch (err) {
+      console.error("FLOWS config error, using the single-flow env config:", err?.message || err);
+      entries = [];
+    }
+  }
+  for (const entry of entries) {
+    const name = (entry?.name || "").toString().trim();
+    if (!name || configs.has(name)) {
+      console.error(`FLOWS: skipping flow with missing or duplicate name "${name}"`);
+      continue;
+    }
+    configs.set(name, normalizeFlowConfig(entry));
+  }
+  if (!configs.size) configs.set("default", normalizeFlowConfig({ name: "default" }));
+  // A published version kept only in memory is lost on restart and never reaches other instances
+  for (const config of configs.values()) {
+    if (config.publish_mode !== "manual" || FLOW_VERSION_STORE !== "memory") continue;
+    console.error(`Flow "${config.name}": publish_mode manual needs FLOW_VERSION_STORE=firestore, using auto`);
+    config.publish_mode = "auto";
+  }
+  return configs;
+}
+
+const flowConfigs = loadFlowConfigs();
+const DEFAULT_FLOW = ([...flowConfigs.values()].find(c => c.default) || flowConfigs.values().next().value).name;
+const flowSources = new Map([...flowConfigs.values()].map(c => [c.name, createFlowSource(c)]));
+
+// The flow a message or admin request is handled in; getChatFlow(), getTemplates() etc. read it implicitly.
+// nodes pins a conversation to an older flow version instead of the live one.
+const flowContext = new AsyncLocalStorage();
+
+function currentFlowName() {
+  return flowContext.getStore()?.name || DEFAULT_FLOW;
+}
+
+function withFlow(name, fn, nodes = null) {
+  return flowContext.run({ name, nodes }, fn);
+}
+
+function getFlowConfig(name = currentFlowName()) {
+  return flowConfigs.get(name) || flowConfigs.get(DEFAULT_FLOW);
+}
+
+// Cache key for per-flow state: chatFlow, flowReport, templates, knowledgeBase
+function flowKey(key, name = currentFlowName()) {
+  return `${key}:${name}`;
+}
+
+// A flow with phone_number_ids only answers on those numbers; flows without any answer on every number
+function flowServesNumber(config, phoneNumberId) {
+  return !config.phone_number_ids.length || !phoneNumberId || config.phone_number_ids.includes(phoneNumberId);
+}
+
+// Referral (click-to-WhatsApp ad) > entry keyword > the user's current flow > phone_number_id > default flow.
+// entered is true when the message starts (or restarts) a flow.
+function selectFlow({ phoneNumberId = null, text = "", referral = null, current = null } = {}) {
+  const candidates = [...flowConfigs.values()].filter(c => flowServesNumber(c, phoneNumberId));
+  const refs = referral ? [referral.source_id, referral.source_url, referral.ctwa_clid, referral.headline].filter(Boolean).map(String) : [];
+  const byReferral = refs.length && candidates.find(c => c.referrals.some(r => refs.includes(r)));
+  if (byReferral) return { name: byReferral.name, entered: true };
+  const normalized = normalizeText(text);
+  const byKeyword = normalized && candidates.find(c => c.entry_keywords.some(k => normalizeText(k) === normalized));
+  if (byKeyword) return { name: byKeyword.name, entered: true };
+  if (current && candidates.some(c => c.name === current)) return { name: current, entered: false };
+  const byNumber = phoneNumberId && candidates.find(c => c.phone_number_ids.includes(phoneNumberId));
+  if (byNumber) return { name: byNumber.name, entered: false };
+  return { name: (candidates.find(c => c.name === DEFAULT_FLOW) || candidates[0] || getFlowConfig(DEFAULT_FLOW)).name, entered: false };
+}
+
+// Cell values as strings, like a CSV export (JSON/YAML/Firestore may hold numbers or booleans)
+async function fetchFlowRows(tab = "flow", name = currentFlowName()) {
+  const rows = await flowSources.get(name).fetchRows(tab);
+  if (!rows) return null;
+  // Lists of plain values become "a|b" (the sheet's list separator); nested objects, e.g. an http_body, become JSON
+  const cell = v => Array.isArray(v) && v.every(x => x === null || typeof x !== "object") ? v.join("|")
+    : typeof v === "object" ? JSON.stringify(v) : String(v);
+  return rows.filter(r => r && typeof r === "object").map(r => Object.fromEntries(Object.entries(r)
+    .filter(([, v]) => v !== null && v !== undefined)
+    .map(([k, v]) => [k.trim(), cell(v)])));
+}
+
+// ---------------------- Flow versions ------------------------
+// Every distinct flow load is stored as a content-hashed version with a diff against the version before it.
+// The live version is what new conversations get; in publish_mode "manual" loads only add versions until one is published.
+function createMemoryFlowVersionStore() {
+  const versions = new Map(); // flow name -> records, newest first
+  const live = new Map();
+  return {
+    async save(record) {
+      const list = [record, ...(versions.get(record.flow) || [])];
+      // The live version is never pruned, so a rollback target of the current deployment stays available
+      versions.set(record.flow, list.filter((r, i) => i < FLOW_VERSION_LIMIT || r.version === live.get(record.flow)?.version));
+    },
+    async get(flow, version) { return (versions.get(flow) || []).find(r => r.version === version) || null; },
+    async list(flow, limit = FLOW_VERSION_LIMIT) { return (versions.get(flow) || []).slice(0, limit); },
+    async getLive(flow) { return live.get(flow) || null; },
+    async setLive(flow, pointer) { live.set(flow, pointer); }
+  };
+}
+
+// Nodes are stored as JSON (Firestore rejects undefined values and nested arrays); list needs an index on (flow ASC, created_at DESC)
+function createFirestoreFlowVersionStore(collection = process.env.FLOW_VERSION_COLLECTION || "flowVersions") {
+  const col = () => getFirestore().collection(collection);
+  const pointers = () => getFirestore().collection(`${collection}Live`);
+  const fromDoc = d => {
+    const { nodes_json, ...record } = d.data();
+    return { ...record, nodes: JSON.parse(nodes_json || "[]") };
+  };
+  return {
+    async save({ nodes, ...record }) { await col().doc(`${record.flow}:${record.version}`).set({ ...record, nodes_json: JSON.stringify(nodes) }); },
+    async get(flow, version) {
+      const snap = await col().doc(`${flow}:${version}`).get();
+      return snap.exists ? fromDoc(snap) : null;
+    },
+    async list(flow, limit = FLOW_VERSION_LIMIT) {
+      const snap = await col().where('flow', '==', flow).orderBy('created_at', 'desc').limit(limit).get();
+      return snap.docs.map(fromDoc);
+    },
+    async getLive(flow) {
+      const snap = await pointers().doc(flow).get();
+      return snap.exists ? snap.data() : null;
+    },
+    async setLive(flow, pointer) { await pointers().doc(flow).set(pointer); }
+  };
+}
+
+const flowVersionStore = FLOW_VERSION_STORE === "firestore" ? createFirestoreFlowVersionStore() : createMemoryFlowVersionStore();
+
+// Node-level diff by node_id; changed lists the columns that differ (a row moving alone is not a change)
+function diffFlows(before, after) {
+  const index = list => new Map(list.filter(n => n.node_id).map(({ row, raw, ...node }) => [node.node_id, node]));
+  const a = index(before);
+  const b = index(after);
+  const changed = [];
+  for (const [id, node] of b) {
+    if (!a.has(id)) continue;
+    const old = a.get(id);
+    const fields = Object.keys({ ...old, ...node }).filter(k => JSON.stringify(old[k]) !== JSON.stringify(node[k]));
+    if (fields.length) changed.push({ node_id: id, fields });
+  }
+  return { added: [...b.keys()].filter(id => !a.has(id)), removed: [...a.keys()].filter(id => !b.has(id)), changed };
+}
+
+async function getFlowVersion(version, name = currentFlowName()) {
+  if (!version) return null;
+  try {
+    return await flowVersionStore.get(name, version);
+  } catch (err) {
+    console.error("Flow version load error:", err?.message || err);
+    return null;
+  }
+}
+
+// Returns the stored version for these nodes; created is true when the content has not been seen before
+async function recordFlowVersion(nodes, report) {
+  const name = currentFlowName();
+  const hash = crypto.createHash("sha256").update(JSON.stringify(nodes)).digest("hex");
+  const version = hash.slice(0, 12);
+  const existing = await getFlowVersion(version);
+  if (existing) return { ...existing, created: false };
+  const record = { flow: name, version, hash, created_at: Date.now(), nodes, previous_version: null, diff: diffFlows([], nodes), ok: report.ok, errors: report.errors.length, warnings: report.warnings.length };
+  // Without the previous version (e.g. a missing Firestore index) the diff is against an empty flow, but the version is still saved
+  try {
+    const [latest] = await flowVersionStore.list(name, 1);
+    if (latest) Object.assign(record, { previous_version: latest.version, diff: diffFlows(latest.nodes, nodes) });
+  } catch (err) {
+    console.error("Flow version lookup error:", err?.message || err);
+  }
+  try {
+    await flowVersionStore.save(record);
+  } catch (err) {
+    console.error("Flow version save error:", err?.message || err);
   }
+  const { added, removed, changed } = record.diff;
+  console.log(`Flow "${name}" version ${version}: +${added.length} -${removed.length} ~${changed.length} nodes`);
+  return { ...record, created: true };
+}
+
+function getLiveVersion(name = currentFlowName()) {
+  return flowCache.get(flowKey("liveVersion", name)) || null;
+}
+
+// persist: false only switches this instance over to the version the stored pointer already names
+async function publishFlowVersion(record, { persist = true } = {}) {
+  const name = currentFlowName();
+  const previous = getLiveVersion();
+  flowCache.set(flowKey("chatFlow"), record.nodes, 0);
+  flowCache.set(flowKey("liveVersion"), record.version, 0);
+  const report = flowCache.get(flowKey("flowReport"));
+  if (report) flowCache.set(flowKey("flowReport"), { ...report, live_version: record.version, applied: report.version === record.version }, 0);
+  if (!persist) {
+    console.log(`Flow "${name}" version ${record.version} is live (stored pointer)`);
+    return;
+  }
+  try {
+    await flowVersionStore.setLive(name, { version: record.version, previous: previous !== record.version ? previous : null, published_at: Date.now() });
+  } catch (err) {
+    console.error("Flow publish save error:", err?.message || err);
+  }
+  console.log(`Flow "${name}" version ${record.version} is live`);
+}
 
-  const csvUrl = `https://docs.google.com/spreadsheets/d/${GOOGLE_SHEET_ID}/export?format=csv`;
-  console.log("Loading Google Sheet CSV:", csvUrl);
+// Conversations stay on the version they started on; a new conversation (no current node) gets the live version.
+// Returns the pinned version's nodes, or null when the live version applies.
+async function pinFlowVersion(session) {
+  const live = getLiveVersion();
+  if (!session.node_id || !session.flow_version || session.flow_version === live) {
+    session.flow_version = live;
+    return null;
+  }
+  const record = await getFlowVersion(session.flow_version);
+  if (!record) session.flow_version = live;
+  return record ? record.nodes : null;
+}
 
+// ---------------------- Flow loader ------------------------
+// Loads a named flow from its source (the function name predates the other sources)
+async function loadFlowFromGoogleSheet(name = currentFlowName()) {
+  if (name !== currentFlowName()) return withFlow(name, () => loadFlowFromGoogleSheet(name));
   try {
-    const resp = await fetcher(csvUrl);
-    if (!resp.ok) throw new Error(`Google sheet HTTP ${resp.status}`);
-    const csvText = await resp.text();
-    const parsed = Papa.parse(csvText, { header: true, skipEmptyLines: true, transformHeader: h => h?.trim() });
-    const rows = parsed.data.map(r => {
+    const data = await fetchFlowRows("flow");
+    if (!data) {
+      console.warn(`No flow configured for flow "${name}" (source ${getFlowConfig().source}). Using fallback flow.`);
+      flowCache.set(flowKey("chatFlow"), [FALLBACK_NODE], 0);
+      return [FALLBACK_NODE];
+    }
+    const rows = data.map((r, i) => {
       const node = {
         node_id: (r.node_id || "").toString(),
+        row: i + 2, // sheet row number (row 1 is the header)
         type: (r.type || "").toString(),
         text: (r.text || "").toString(),
         keyword: (r.keyword || "").toString(),
+        // keyword and synonyms are pipe-separated; match_mode: fuzzy (default) | exact | contains | starts_with | regex
+        keywords: [r.keyword, r.synonyms].flatMap(v => (v || "").toString().split("|")).map(k => k.trim()).filter(Boolean),
+        match_mode: (r.match_mode || "").toString().trim().toLowerCase() || "fuzzy",
+        match_threshold: r.match_threshold !== undefined && r.match_threshold !== "" && !isNaN(Number(r.match_threshold)) ? Number(r.match_threshold) : null,
+        intent: (r.intent || "").toString(), // plain-language description used by AI intent classification
+        ai_model: (r.ai_model || "").toString(),
+        ai_temperature: (r.ai_temperature || "").toString(),
         media_url: (r.media_url || "").toString(),
+        media_type: (r.media_type || "").toString(),
+        next_id: r.next_id ? r.next_id.toString() : null,
+        // type=input: the user's reply is validated as input_type and stored in session variable `variable`
+        variable: (r.variable || "").toString().trim(),
+        input_type: (r.input_type || "").toString().trim().toLowerCase() || "text",
+        input_pattern: (r.input_pattern || "").toString(),
+        error_text: (r.error_text || "").toString(),
+        // type=condition: next_id when `condition` holds, else_next_id otherwise; type=set_variable: variable = value
+        condition: (r.condition || "").toString().trim(),
+        else_next_id: r.else_next_id ? r.else_next_id.toString() : null,
+        value: (r.value ?? "").toString(),
+        delay_seconds: r.delay_seconds !== undefined && r.delay_seconds !== "" ? Number(r.delay_seconds) : null,
+        // type=http: calls our backend, then next_id on success or on_error_next_id on failure
+        http: r.type === "http" ? {
+          method: (r.http_method || "POST").toString().trim().toUpperCase(),
+          url: (r.http_url || "").toString().trim(),
+          headers: (r.http_headers || "").toString(),
+          body: (r.http_body || "").toString().trim(),
+          response_map: (r.http_response_map || "").toString(),
+          timeout_ms: Number(r.http_timeout_ms) || HTTP_NODE_TIMEOUT_MS,
+          retries: r.http_retries !== undefined && r.http_retries !== "" && !isNaN(Number(r.http_retries)) ? Number(r.http_retries) : HTTP_NODE_RETRIES
+        } : null,
+        on_error_next_id: r.on_error_next_id ? r.on_error_next_id.toString() : null,
+        // Only used when the node has more than 3 CTAs and is sent as a list
+        list_header: (r.list_header || "").toString(),
+        list_button: (r.list_button || "").toString(),
+        list_section: (r.list_section || "").toString(),
         raw: r,
-        ctas: []
+        ctas: [],
+        // { hi: { text, list_header, list_button } } from text_hi, list_header_hi, ... columns
+        i18n: {}
       };
-      for (let i = 1; i <= 5; i++) {
+      for (const loc of SUPPORTED_LOCALES.filter(l => l !== DEFAULT_LOCALE)) {
+        const t = {};
+        for (const field of ["text", "list_header", "list_button", "error_text"]) if (r[`${field}_${loc}`]) t[field] = r[`${field}_${loc}`].toString();
+        if (Object.keys(t).length) node.i18n[loc] = t;
+      }
+      for (let i = 1; i <= MAX_CTAS; i++) {
         const txt = r[`cta${i}`];
         const id = r[`cta${i}_id`] || r[`cta${i}_payload`];
         const next = r[`cta${i}_next_id`];
-        if (txt && id) node.ctas.push({ text: txt.toString(), id: id.toString(), next_id: next ? next.toString() : null });
+        const description = r[`cta${i}_description`];
+        const section = r[`cta${i}_section`];
+        if (!txt || !id) continue;
+        const cta = {
+          text: txt.toString(),
+          id: id.toString(),
+          next_id: next ? next.toString() : null,
+          description: description ? description.toString() : null,
+          section: section ? section.toString() : null,
+          i18n: {}
+        };
+        for (const loc of SUPPORTED_LOCALES.filter(l => l !== DEFAULT_LOCALE)) {
+          const t = {};
+          if (r[`cta${i}_${loc}`]) t.text = r[`cta${i}_${loc}`].toString();
+          if (r[`cta${i}_description_${loc}`]) t.description = r[`cta${i}_description_${loc}`].toString();
+          if (Object.keys(t).length) cta.i18n[loc] = t;
+        }
+        node.ctas.push(cta);
       }
       return node;
     });
 
     const flow = rows.length ? rows : [FALLBACK_NODE];
-    flowCache.set("chatFlow", flow);
-    console.log(`Flow loaded: ${flow.length} nodes`);
-    return flow;
+    const report = validateFlow(flow);
+    if (report.warnings.length) console.warn(`Flow "${name}" has ${report.warnings.length} warning(s):`, report.warnings.slice(0, 5));
+    if (report.errors.length) console.error(`Flow "${name}" has ${report.errors.length} error(s):`, report.errors.slice(0, 5));
+    const record = await recordFlowVersion(flow, report);
+
+    // Follow the stored live pointer (persisted with FLOW_VERSION_STORE=firestore), so a publish or rollback made
+    // on one instance reaches the others at their next load, and a cold start goes back to the published version
+    const pointer = await flowVersionStore.getLive(name).catch(err => console.error("Flow live pointer error:", err?.message || err));
+    if (pointer?.version && pointer.version !== getLiveVersion()) {
+      const published = pointer.version === record.version ? record : await getFlowVersion(pointer.version);
+      if (published) await publishFlowVersion(published, { persist: false });
+    }
+    // Auto mode publishes content that changed since the last load (so a rollback sticks until the sheet is edited);
+    // invalid content is only used when nothing else is live (cold start). Manual mode never publishes on its own.
+    const manual = getFlowConfig().publish_mode === "manual";
+    const lastLoaded = flowCache.get(flowKey("loadedVersion"));
+    flowCache.set(flowKey("loadedVersion"), record.version, 0);
+    const changed = lastLoaded ? lastLoaded !== record.version : record.created;
+    const live = getLiveVersion();
+    const publish = !manual && (!live || (changed && report.ok && live !== record.version));
+    if (publish) await publishFlowVersion(record);
+    else if (report.errors.length && live !== record.version) console.error("Keeping previous flow; fix the sheet and reload.");
+    else if (live !== record.version) console.log(`Flow "${name}" version ${record.version} is waiting to be published (live: ${live})`);
+
+    flowCache.set(flowKey("flowReport"), { ...report, version: record.version, live_version: getLiveVersion(), applied: getLiveVersion() === record.version }, 0);
+    console.log(`Flow "${name}" loaded: ${flow.length} nodes`);
+    return getChatFlow();
+  } catch (err) {
+    console.error(`Error loading flow "${name}":`, err?.message || err);
+    if (!flowCache.get(flowKey("chatFlow"))) flowCache.set(flowKey("chatFlow"), [FALLBACK_NODE], 0);
+    return flowCache.get(flowKey("chatFlow"));
+  }
+}
+
+// Template tab columns: key, name, language, header_type (text|image|video|document), header_value,
+// body_params and button_params (both pipe-separated, in placeholder order)
+async function loadTemplatesFromGoogleSheet(name = currentFlowName()) {
+  if (name !== currentFlowName()) return withFlow(name, () => loadTemplatesFromGoogleSheet(name));
+  try {
+    const rows = await fetchFlowRows("templates");
+    if (!rows) return getTemplates();
+    const split = v => (v || "").toString().split("|").map(x => x.trim()).filter(Boolean);
+    const templates = rows.filter(r => r.name).map(r => ({
+      key: (r.key || r.name).toString(),
+      name: r.name.toString(),
+      language: (r.language || "en").toString(),
+      header_type: (r.header_type || "").toString().toLowerCase() || null,
+      header_value: (r.header_value || "").toString() || null,
+      body_params: split(r.body_params),
+      button_params: split(r.button_params)
+    }));
+    // Kept until the next reload replaces them, like the flow and the knowledge base
+    flowCache.set(flowKey("templates"), templates, 0);
+    console.log(`Templates for flow "${name}" loaded: ${templates.length}`);
+    return templates;
+  } catch (err) {
+    console.error(`Error loading templates for flow "${name}":`, err?.message || err);
+    return getTemplates();
+  }
+}
+
+// ---------------------- Knowledge base search ------------------------
+const STOP_WORDS = new Set("to of in on at is it be do me my we us or an as by if so no the and for are but not you your with this that from have has was were what when where which who how can does did will about into our their them then there they its".split(" "));
+
+function tokenize(text) {
+  return (text || "").toLowerCase().normalize("NFKC").split(/[^\p{L}\p{M}\p{N}]+/u).filter(w => w.length > 1 && !STOP_WORDS.has(w));
+}
+
+// BM25 over question (counted twice, it is what users ask) + tags + answer
+function buildSearchIndex(entries) {
+  const docs = entries.map(e => {
+    const terms = [...tokenize(e.question), ...tokenize(e.question), ...e.tags.flatMap(tokenize), ...tokenize(e.answer)];
+    const tf = {};
+    for (const t of terms) tf[t] = (tf[t] || 0) + 1;
+    return { entry: e, tf, length: terms.length };
+  });
+  const df = {};
+  for (const d of docs) for (const t of Object.keys(d.tf)) df[t] = (df[t] || 0) + 1;
+  const avgLength = docs.reduce((sum, d) => sum + d.length, 0) / (docs.length || 1);
+  return { docs, df, avgLength, size: docs.length, built_at: new Date().toISOString() };
+}
+
+function getKnowledgeBase(name = currentFlowName()) {
+  return flowCache.get(flowKey("knowledgeBase", name)) || null;
+}
+
+function searchKnowledgeBase(query, { limit = KB_TOP_K, minScore = KB_MIN_SCORE, index = getKnowledgeBase() } = {}) {
+  if (!index?.size) return [];
+  const k1 = 1.5, b = 0.75;
+  const terms = [...new Set(tokenize(query))];
+  return index.docs
+    .map(d => {
+      let score = 0;
+      for (const t of terms) {
+        const f = d.tf[t];
+        if (!f) continue;
+        const idf = Math.log(1 + (index.size - index.df[t] + 0.5) / (index.df[t] + 0.5));
+        score += idf * (f * (k1 + 1)) / (f + k1 * (1 - b + b * d.length / index.avgLength));
+      }
+      return { ...d.entry, score: Math.round(score * 1000) / 1000 };
+    })
+    .filter(r => r.score >= minScore)
+    .sort((x, y) => y.score - x.score)
+    .slice(0, limit);
+}
+
+// ---------------------- Flow validation ------------------------
+// Errors would break users at runtime (Graph rejects the send or a CTA leads nowhere) and block the flow swap;
+// warnings are things we work around (e.g. truncated titles) or that are probably mistakes.
+function validateFlow(flow) {
+  const errors = [];
+  const warnings = [];
+  const issue = (list, code, node, message) => list.push({ code, row: node?.row ?? null, node_id: node?.node_id || null, message });
+  const ids = new Map();
+
+  for (const node of flow) {
+    if (!node.node_id) { issue(errors, "missing_node_id", node, "Row has no node_id"); continue; }
+    if (ids.has(node.node_id)) issue(errors, "duplicate_node_id", node, `node_id "${node.node_id}" is also used on row ${ids.get(node.node_id).row}`);
+    else ids.set(node.node_id, node);
+  }
+
+  const keywords = new Map();
+  for (const node of flow) {
+    const ctas = node.ctas || [];
+    if (node.next_id && !ids.has(node.next_id)) issue(errors, "unknown_next_id", node, `next_id "${node.next_id}" does not exist`);
+    if (node.else_next_id && !ids.has(node.else_next_id)) issue(errors, "unknown_else_next_id", node, `else_next_id "${node.else_next_id}" does not exist`);
+    if (node.on_error_next_id && !ids.has(node.on_error_next_id)) issue(errors, "unknown_on_error_next_id", node, `on_error_next_id "${node.on_error_next_id}" does not exist`);
+
+    const ctaIds = new Set();
+    ctas.forEach((c, i) => {
+      if (c.next_id && !ids.has(c.next_id)) issue(errors, "unknown_cta_next_id", node, `cta${i + 1}_next_id "${c.next_id}" does not exist`);
+      if (ctaIds.has(c.id)) issue(errors, "duplicate_cta_id", node, `cta${i + 1}_id "${c.id}" is used twice on this node`);
+      ctaIds.add(c.id);
+      const maxTitle = ctas.length > MAX_REPLY_BUTTONS ? 24 : 20;
+      if (c.text.length > maxTitle) issue(warnings, "cta_title_too_long", node, `cta${i + 1} "${c.text}" is over ${maxTitle} characters and will be truncated`);
+      if (c.description && c.description.length > 72) issue(warnings, "cta_description_too_long", node, `cta${i + 1}_description is over 72 characters and will be truncated`);
+    });
+
+    const limit = ctas.length || node.media_url ? MAX_INTERACTIVE_BODY_LENGTH : MAX_TEXT_LENGTH;
+    if ((node.text || "").length > limit) issue(errors, "text_too_long", node, `text is ${node.text.length} characters, WhatsApp allows ${limit}`);
+
+    if (node.type === "input") {
+      if (!node.variable) issue(errors, "missing_variable", node, "input node has no variable column");
+      if (!INPUT_TYPES.includes(node.input_type)) issue(errors, "unknown_input_type", node, `input_type "${node.input_type}" is not one of ${INPUT_TYPES.join(", ")}`);
+      if (node.input_type === "regex" && !compileKeywordRegex(node.input_pattern)) issue(errors, "invalid_regex", node, `input_pattern "${node.input_pattern}" does not compile`);
+      if (!node.next_id) issue(warnings, "missing_next_id", node, "input node has no next_id; the answer is stored but nothing is sent next");
+    }
+
+    if (node.type === "condition") {
+      if (!splitCondition(node.condition || "", "or").flatMap(c => splitCondition(c, "and")).every(parseCondition)) issue(errors, "invalid_condition", node, `condition "${node.condition}" is not of the form "<variable> <operator> <value>"`);
+      if (!node.next_id) issue(errors, "missing_next_id", node, "condition node has no next_id");
+      if (!node.else_next_id) issue(warnings, "missing_else_next_id", node, "condition node has no else_next_id; the fallback node is sent when the condition fails");
+    }
+    if (node.type === "set_variable" && !node.variable) issue(errors, "missing_variable", node, "set_variable node has no variable column");
+    if (node.type === "delay") {
+      if (!Number.isFinite(node.delay_seconds) || node.delay_seconds < 0) issue(errors, "invalid_delay", node, `delay_seconds "${node.raw?.delay_seconds ?? ""}" is not a number of seconds`);
+      else if (node.delay_seconds > FLOW_MAX_DELAY_SECONDS) issue(warnings, "delay_too_long", node, `delay_seconds is capped at ${FLOW_MAX_DELAY_SECONDS}`);
+    }
+    if (node.type === "http") {
+      const { method, url, headers, body, response_map } = node.http;
+      if (!HTTP_METHODS.includes(method)) issue(errors, "unknown_http_method", node, `http_method "${method}" is not one of ${HTTP_METHODS.join(", ")}`);
+      // The base URL may come from a secret (per environment); it is checked once the secret is set
+      const baseSecret = url.match(/^\{\{\s*secret\.(\w+)\s*\}\}/)?.[1];
+      const urlPending = baseSecret && !process.env[`FLOW_SECRET_${baseSecret}`];
+      if (!urlPending && !/^https?:\/\//i.test(fillSecrets(url))) issue(errors, "invalid_http_url", node, `http_url "${url}" must start with http:// or https:// (or a {{secret.NAME}} holding such a URL)`);
+      if (parseHttpHeaders(headers) === null) issue(errors, "invalid_http_headers", node, "http_headers must be \"Name: value\" pairs separated by | or new lines");
+      if (parseResponseMap(response_map) === null) issue(errors, "invalid_http_response_map", node, "http_response_map must be variable=json.path pairs separated by |");
+      // Placeholders are filled with 0 so both "{{pin}}" and bare {{age}} must leave valid JSON
+      try { if (body) JSON.parse(body.replace(/\{\{[^}]*\}\}/g, "0")); } catch { issue(errors, "invalid_http_body", node, "http_body is not a JSON template"); }
+      for (const [, name] of `${url} ${headers}`.matchAll(/\{\{\s*secret\.(\w+)\s*\}\}/g)) {
+        if (!process.env[`FLOW_SECRET_${name}`]) issue(warnings, "missing_secret", node, `FLOW_SECRET_${name} is not set`);
+      }
+      if (/\{\{\s*secret\./.test(body)) issue(errors, "secret_in_body", node, "secrets may only be used in http_url and http_headers");
+      if (!node.on_error_next_id) issue(warnings, "missing_on_error_next_id", node, "http node has no on_error_next_id; the fallback node is sent when the request fails");
+    }
+    if (["auto", "set_variable", "delay", "http"].includes(node.type) && !node.next_id) issue(warnings, "missing_next_id", node, `${node.type} node has no next_id; the flow stops here`);
+
+    if (!MATCH_MODES.includes(node.match_mode || "fuzzy")) issue(errors, "unknown_match_mode", node, `match_mode "${node.match_mode}" is not one of ${MATCH_MODES.join(", ")}`);
+    if (node.match_mode === "regex") {
+      for (const kw of node.keywords || []) {
+        if (!compileKeywordRegex(kw)) issue(errors, "invalid_regex", node, `keyword regex "${kw}" does not compile`);
+      }
+      continue;
+    }
+    for (const kw of (node.keywords || []).map(normalizeText).filter(Boolean)) {
+      if (keywords.has(kw)) issue(warnings, "duplicate_keyword", node, `keyword "${kw}" is also used by "${keywords.get(kw).node_id}"`);
+      else keywords.set(kw, node);
+    }
+  }
+
+  // Reachable from the start node, keyword entry points and fallback nodes via next_id / CTA links
+  const start = getNodeById(getFlowConfig().start_node_id, flow) || flow.find(n => n.type === 'start') || flow[0];
+  const queue = [start, ...flow.filter(n => n.keywords?.length || n.type === 'fallback')].filter(Boolean);
+  const seen = new Set(queue.map(n => n.node_id));
+  while (queue.length) {
+    const node = queue.shift();
+    for (const next of [node.next_id, node.else_next_id, node.on_error_next_id, ...(node.ctas || []).map(c => c.next_id)]) {
+      if (next && !seen.has(next) && ids.has(next)) { seen.add(next); queue.push(ids.get(next)); }
+    }
+  }
+  for (const node of ids.values()) {
+    if (!seen.has(node.node_id) && node.type !== 'ai_prompt') issue(warnings, "unreachable_node", node, "No keyword, next_id or CTA leads to this node");
+  }
+
+  // Cycles made only of nodes that run without waiting for the user are cut short by FLOW_MAX_HOPS
+  for (const node of ids.values()) {
+    if (!PASS_THROUGH_TYPES.includes(node.type)) continue;
+    const stack = [node.next_id, node.else_next_id, node.on_error_next_id];
+    const visited = new Set();
+    while (stack.length) {
+      const id = stack.pop();
+      if (id === node.node_id) { issue(warnings, "pass_through_loop", node, "next_id links loop back here without waiting for the user"); break; }
+      const next = ids.get(id);
+      if (!next || visited.has(id) || !PASS_THROUGH_TYPES.includes(next.type)) continue;
+      visited.add(id);
+      stack.push(next.next_id, next.else_next_id, next.on_error_next_id);
+    }
+  }
+
+  return { ok: errors.length === 0, nodes: flow.length, errors, warnings, validated_at: new Date().toISOString() };
+}
+
+// Knowledge-base tab columns: question, answer, tags (comma/pipe separated), source_url
+async function loadKnowledgeBaseFromGoogleSheet(name = currentFlowName()) {
+  if (name !== currentFlowName()) return withFlow(name, () => loadKnowledgeBaseFromGoogleSheet(name));
+  try {
+    const rows = await fetchFlowRows("kb");
+    if (!rows) return getKnowledgeBase();
+    const entries = rows.filter(r => r.question && r.answer).map((r, i) => ({
+      id: `kb${i + 2}`,
+      row: i + 2,
+      question: r.question.toString().trim(),
+      answer: r.answer.toString().trim(),
+      tags: (r.tags || "").toString().split(/[,|]/).map(t => t.trim()).filter(Boolean),
+      source_url: (r.source_url || "").toString().trim() || null
+    }));
+    const index = buildSearchIndex(entries);
+    flowCache.set(flowKey("knowledgeBase"), index, 0);
+    console.log(`Knowledge base for flow "${name}" loaded: ${entries.length} entries`);
+    return index;
   } catch (err) {
-    console.error("Error loading Google Sheet:", err?.message || err);
-    if (!flowCache.get("chatFlow")) flowCache.set("chatFlow", [FALLBACK_NODE]);
-    return flowCache.get("chatFlow");
+    console.error(`Error loading knowledge base for flow "${name}":`, err?.message || err);
+    return getKnowledgeBase();
   }
 }
 
+// Each flow reloads on its own refresh_seconds
 async function ensurePeriodicLoad() {
-  await loadFlowFromGoogleSheet();
-  setInterval(() => loadFlowFromGoogleSheet().catch(e => console.error("Periodic reload failed:", e)), Math.max(30, SHEET_REFRESH_SECONDS) * 1000);
+  for (const { name, refresh_seconds } of flowConfigs.values()) {
+    await loadFlowFromGoogleSheet(name);
+    await loadTemplatesFromGoogleSheet(name);
+    await loadKnowledgeBaseFromGoogleSheet(name);
+    setInterval(() => {
+      loadFlowFromGoogleSheet(name).catch(e => console.error(`Periodic reload of flow "${name}" failed:`, e));
+      loadTemplatesFromGoogleSheet(name).catch(e => console.error(`Periodic template reload of flow "${name}" failed:`, e));
+      loadKnowledgeBaseFromGoogleSheet(name).catch(e => console.error(`Periodic knowledge base reload of flow "${name}" failed:`, e));
+    }, Math.max(30, refresh_seconds) * 1000);
+  }
 }
 
 // ---------------------- Chat flow helpers ------------------------
-function getChatFlow() {
-  const f = flowCache.get("chatFlow");
+function getTemplates(name = currentFlowName()) {
+  const t = flowCache.get(flowKey("templates", name));
+  return Array.isArray(t) ? t : [];
+}
+
+function getTemplate(keyOrName) {
+  return getTemplates().find(t => t.key === keyOrName) || getTemplates().find(t => t.name === keyOrName) || null;
+}
+
+function getChatFlow(name = currentFlowName()) {
+  const store = flowContext.getStore();
+  if (store?.nodes && store.name === name) return store.nodes;
+  const f = flowCache.get(flowKey("chatFlow", name));
   return Array.isArray(f) ? f : [FALLBACK_NODE];
 }
 
+function getNodeById(nodeId, flow = getChatFlow()) {
+  if (!nodeId) return null;
+  return flow.find(n => n.node_id === nodeId) || null;
+}
+
+function getStartNode() {
+  const flow = getChatFlow();
+  return getNodeById(getFlowConfig().start_node_id) || flow.find(n => n.type === 'start') || flow[0] || FALLBACK_NODE;
+}
+
+// Resolve a CTA id (or a typed reply matching a CTA title) against one node only
+function getCtaOnNode(node, ctaId, text) {
+  if (!node || !Array.isArray(node.ctas)) return null;
+  if (ctaId) {
+    const c = node.ctas.find(x => x.id === ctaId);
+    if (c) return { node, next_id: c.next_id, cta: c };
+  }
+  if (text) {
+    // Typed titles match in any language the CTA is translated to
+    const typed = text.trim().toLowerCase();
+    const c = node.ctas.find(x => [x.text, ...Object.values(x.i18n || {}).map(t => t.text)].some(t => t && t.trim().toLowerCase() === typed));
+    if (c) return { node, next_id: c.next_id, cta: c };
+  }
+  return null;
+}
+
 function getNodeByCtaId(ctaId) {
   const flow = getChatFlow();
   for (const node of flow) {
@@ -109,147 +1034,2070 @@ function getNodeByCtaId(ctaId) {
 }
 
 function getNodeByExactOrFuzzy(text) {
-  if (!text) return null;
-  const flow = getChatFlow().filter(n => n.keyword); // ignore empty keywords
+  return matchKeyword(text).node;
+}
 
-  // Exact match
-  const exact = flow.find(n => n.keyword.toLowerCase() === text.toLowerCase());
-  if (exact) return exact;
+// ---------------------- Keyword matching ------------------------
+const MATCH_MODES = ["fuzzy", "exact", "contains", "starts_with", "regex"];
+
+// Devanagari -> Latin, roughly how Hinglish users type it (inherent "a" dropped at word end)
+const DEVANAGARI_VOWELS = { "अ": "a", "आ": "aa", "इ": "i", "ई": "ee", "उ": "u", "ऊ": "oo", "ऋ": "ri", "ए": "e", "ऐ": "ai", "ओ": "o", "औ": "au" };
+const DEVANAGARI_SIGNS = { "ा": "aa", "ि": "i", "ी": "ee", "ु": "u", "ू": "oo", "ृ": "ri", "े": "e", "ै": "ai", "ो": "o", "ौ": "au", "ं": "n", "ँ": "n", "ः": "h" };
+const DEVANAGARI_CONSONANTS = {
+  "क": "k", "ख": "kh", "ग": "g", "घ": "gh", "ङ": "n", "च": "ch", "छ": "chh", "ज": "j", "झ": "jh", "ञ": "n",
+  "ट": "t", "ठ": "th", "ड": "d", "ढ": "dh", "ण": "n", "त": "t", "थ": "th", "द": "d", "ध": "dh", "न": "n",
+  "प": "p", "फ": "ph", "ब": "b", "भ": "bh", "म": "m", "य": "y", "र": "r", "ल": "l", "व": "v",
+  "श": "sh", "ष": "sh", "स": "s", "ह": "h", "क़": "q", "ख़": "kh", "ग़": "g", "ज़": "z", "ड़": "r", "ढ़": "rh", "फ़": "f"
+};
+const DEVANAGARI_DIGITS = "०१२३४५६७८९";
+
+function transliterateDevanagari(text) {
+  let out = "";
+  const chars = [...text.normalize("NFC")];
+  for (let i = 0; i < chars.length; i++) {
+    const ch = chars[i];
+    const next = chars[i + 1];
+    if (DEVANAGARI_CONSONANTS[ch]) {
+      out += DEVANAGARI_CONSONANTS[ch];
+      // inherent "a" unless a vowel sign or virama follows, or the word ends here
+      if (next === "्" || DEVANAGARI_SIGNS[next] && !["ं", "ँ", "ः"].includes(next)) continue;
+      if (next && /[\u0900-\u097F]/.test(next)) out += "a";
+    } else if (ch === "्" || ch === "़") {
+      continue;
+    } else if (DEVANAGARI_SIGNS[ch] || DEVANAGARI_VOWELS[ch]) {
+      out += DEVANAGARI_SIGNS[ch] || DEVANAGARI_VOWELS[ch];
+    } else if (DEVANAGARI_DIGITS.includes(ch)) {
+      out += String(DEVANAGARI_DIGITS.indexOf(ch));
+    } else {
+      out += ch;
+    }
+  }
+  return out;
+}
 
-  // Fuzzy match
-  const keywords = flow.map(n => n.keyword);
-  const { bestMatch, bestMatchIndex } = stringSimilarity.findBestMatch(text, keywords);
-  if (bestMatch.rating >= 0.6) return flow[bestMatchIndex];
+// Lowercase, transliterate, strip accents/punctuation, and fold long vowels so "haan"/"हाँ"/"Hān" compare equal
+function normalizeText(text) {
+  return transliterateDevanagari((text || "").toString())
+    .normalize("NFKD").replace(/\p{M}/gu, "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]+/gu, " ")
+    .replace(/aa+/g, "a").replace(/ee+/g, "i").replace(/oo+/g, "u").replace(/(\p{L})\1{2,}/gu, "$1")
+    .replace(/\s+/g, " ")
+    .trim();
+}
 
-  return null;
+const keywordRegexCache = new Map();
+function compileKeywordRegex(pattern) {
+  if (!keywordRegexCache.has(pattern)) {
+    let re = null;
+    try { re = new RegExp(pattern, "iu"); } catch { re = null; }
+    keywordRegexCache.set(pattern, re);
+  }
+  return keywordRegexCache.get(pattern);
 }
 
-// ---------------------- Gemini AI fallback ------------------------
-async function getAIResponse(message) {
-  if (!GEMINI_API_KEY || !message) return null;
-  try {
-    const url = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${GEMINI_API_KEY}`;
-    const payload = {
-      contents: [{ parts: [{ text: `Reply to: "${message}" in under 600 characters.` }] }]
-    };
-    const res = await fetcher(url, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify(payload)
-    });
-    const json = await res.json();
-    return json?.candidates?.[0]?.content?.[0]?.text || null;
-  } catch (err) {
-    console.error("Gemini AI error:", err?.message || err);
-    return null;
+// Best fuzzy score of the keyword against the whole message or any same-length run of its words
+function fuzzyScore(message, keyword) {
+  let best = stringSimilarity.compareTwoStrings(message, keyword);
+  const words = message.split(" ");
+  const size = keyword.split(" ").length;
+  if (words.length > size) {
+    for (let i = 0; i + size <= words.length; i++) {
+      // Windows score slightly lower than a whole-message match of the same quality
+      best = Math.max(best, 0.9 * stringSimilarity.compareTwoStrings(words.slice(i, i + size).join(" "), keyword));
+    }
   }
+  return best;
 }
 
-// ---------------------- WhatsApp sender ------------------------
-async function sendWhatsAppMessage(phoneNumber, text, ctas = [], media = null) {
-  if (!WHATSAPP_TOKEN || !WHATSAPP_PHONE_ID) return null;
-  const url = `https://graph.facebook.com/v17.0/${WHATSAPP_PHONE_ID}/messages`;
-  const body = { messaging_product: "whatsapp", to: phoneNumber, type: media ? "image" : (ctas.length ? "interactive" : "text") };
+function scoreKeyword(mode, rawText, normalized, keyword) {
+  if (mode === "regex") return compileKeywordRegex(keyword)?.test(rawText) ? 1 : 0;
+  const kw = normalizeText(keyword);
+  if (!kw) return 0;
+  const padded = ` ${normalized} `;
+  switch (mode) {
+    case "exact": return normalized === kw ? 1 : 0;
+    case "contains": return padded.includes(` ${kw} `) ? 1 : 0;
+    case "starts_with": return normalized === kw || normalized.startsWith(`${kw} `) ? 1 : 0;
+    default: return normalized === kw ? 1 : fuzzyScore(normalized, kw);
+  }
+}
 
-  if (media) body.image = { link: media };
-  else if (ctas.length) body.interactive = { type: "button", body: { text: text || "Choose" }, action: { buttons: ctas.map(c => ({ type: "reply", reply: { id: c.id, title: c.text } })) } } ;
-  else body.text = { body: text || FALLBACK_NODE.text };
+// Returns { node, normalized, candidates } where candidates lists every node's best keyword score, best first
+function matchKeyword(text, flow = getChatFlow()) {
+  const normalized = normalizeText(text);
+  const result = { text: text || "", normalized, node: null, candidates: [] };
+  if (!normalized && !text) return result;
 
-  try {
-    const res = await fetcher(url, {
-      method: "POST",
-      headers: { "Content-Type": "application/json", "Authorization": `Bearer ${WHATSAPP_TOKEN}` },
-      body: JSON.stringify(body)
-    });
-    const json = await res.json();
-    console.log("WhatsApp send response:", json);
-    return json;
-  } catch (err) {
-    console.error("WhatsApp send error:", err?.message || err);
-    return null;
+  for (const node of flow) {
+    if (!node.keywords?.length) continue;
+    const mode = node.match_mode || "fuzzy";
+    const threshold = node.match_threshold ?? (mode === "fuzzy" ? MATCH_THRESHOLD : 1);
+    let best = { keyword: null, score: 0 };
+    for (const keyword of node.keywords) {
+      const score = scoreKeyword(mode, text, normalized, keyword);
+      if (score > best.score) best = { keyword, score };
+    }
+    result.candidates.push({ node_id: node.node_id, mode, keyword: best.keyword, score: Math.round(best.score * 1000) / 1000, threshold, matched: best.score >= threshold && best.score > 0 });
   }
+  // Sort is stable, so equal scores keep sheet order
+  result.candidates.sort((a, b) => b.score - a.score);
+  const winner = result.candidates.find(c => c.matched);
+  result.node = winner ? flow.find(n => n.node_id === winner.node_id) || null : null;
+  return result;
 }
 
-// ---------------------- Webhook GET / verification ------------------------
-app.get('/', (req, res) => {
-  const mode = req.query['hub.mode'];
-  const token = req.query['hub.verify_token'];
-  const challenge = req.query['hub.challenge'];
-  if (mode === 'subscribe' && token === VERIFY_TOKEN) return res.status(200).send(challenge);
-  return res.status(403).send("Verification token mismatch");
-});
+// ---------------------- Localization ------------------------
+// Script-based detection only: Latin text (English or Hinglish) never overrides the stored language
+const SCRIPT_LOCALES = [
+  [/[\u0900-\u097F]/, "hi"], [/[\u0980-\u09FF]/, "bn"], [/[\u0A00-\u0A7F]/, "pa"], [/[\u0A80-\u0AFF]/, "gu"],
+  [/[\u0B00-\u0B7F]/, "or"], [/[\u0B80-\u0BFF]/, "ta"], [/[\u0C00-\u0C7F]/, "te"], [/[\u0C80-\u0CFF]/, "kn"],
+  [/[\u0D00-\u0D7F]/, "ml"], [/[\u0600-\u06FF]/, "ur"]
+];
 
-// ---------------------- Webhook POST ------------------------
-app.post(['/', '/webhook'], (req, res) => {
-  res.sendStatus(200); // immediate 200
-  processWebhookSafely(req.body).catch(err => console.error("Async processing error:", err));
-});
+function detectLanguage(text) {
+  for (const [re, loc] of SCRIPT_LOCALES) if (re.test(text || "")) return SUPPORTED_LOCALES.includes(loc) ? loc : null;
+  return null;
+}
 
-// ---------------------- Core webhook processing ------------------------
-async function processWebhookSafely(body) {
-  try {
-    const entry = body.entry?.[0];
-    if (!entry) return;
-    const messages = entry.changes?.[0]?.value?.messages || [];
-    if (!Array.isArray(messages) || messages.length === 0) return;
+// Copy of the node with text, list labels and CTA titles in `locale`, falling back to the default columns
+function localizeNode(node, locale) {
+  if (!node || !locale || locale === DEFAULT_LOCALE) return node;
+  const t = node.i18n?.[locale] || {};
+  return {
+    ...node,
+    text: t.text || node.text,
+    list_header: t.list_header || node.list_header,
+    list_button: t.list_button || node.list_button,
+    error_text: t.error_text || node.error_text,
+    ctas: (node.ctas || []).map(c => ({ ...c, text: c.i18n?.[locale]?.text || c.text, description: c.i18n?.[locale]?.description || c.description }))
+  };
+}
 
-    let flow = getChatFlow();
-    if (!flow || flow.length === 0) flow = await loadFlowFromGoogleSheet();
+// ---------------------- User input capture ------------------------
+const INPUT_TYPES = ["text", "number", "email", "phone", "date", "pincode", "regex"];
+const INPUT_ERRORS = {
+  text: "Please type your answer.",
+  number: "Please send a number.",
+  email: "That doesn't look like an email address. Please try again.",
+  phone: "Please send a valid 10-digit phone number.",
+  date: "Please send the date as DD/MM/YYYY.",
+  pincode: "Please send a valid 6-digit pincode.",
+  regex: "That doesn't look right. Please try again."
+};
 
-    for (const msg of messages) {
-      try {
-        const phone = msg.from;
-        const text = msg.text?.body || msg?.interactive?.button_reply?.title || "";
-        const ctaId = msg.button?.payload || msg?.interactive?.button_reply?.id || null;
+// Returns { ok, value } with the value normalized for storage (numbers as numbers, dates as YYYY-MM-DD)
+function validateInput(node, raw) {
+  const text = (raw || "").toString().trim();
+  // Devanagari digits are common in Hindi replies
+  const digits = text.replace(/[०-९]/g, d => String(DEVANAGARI_DIGITS.indexOf(d)));
+  switch (node.input_type) {
+    case "number": {
+      // Plain decimals only: Number() would also take "Infinity", "1e5" and "0x10". Commas must group thousands,
+      // Western (125,000) or Indian (1,25,000); "1,2,3" is not a number.
+      if (!/^-?(\d+|\d{1,3}(,\d{3})+|\d{1,2}(,\d{2})*,\d{3})(\.\d+)?$/.test(digits)) return { ok: false };
+      return { ok: true, value: Number(digits.replace(/,/g, "")) };
+    }
+    case "email":
+      return /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(text) ? { ok: true, value: text.toLowerCase() } : { ok: false };
+    case "phone": {
+      const p = digits.replace(/[\s\-()]/g, "").replace(/^\+?91(?=\d{10}$)/, "").replace(/^0(?=\d{10}$)/, "");
+      return /^\+?\d{10,15}$/.test(p) ? { ok: true, value: p } : { ok: false };
+    }
+    case "date": {
+      const m = digits.match(/^(\d{1,2})[\/\-.](\d{1,2})[\/\-.](\d{4})$/) || digits.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+      if (!m) return { ok: false };
+      const [y, mo, d] = m[1].length === 4 ? [m[1], m[2], m[3]] : [m[3], m[2], m[1]];
+      const date = new Date(Date.UTC(Number(y), Number(mo) - 1, Number(d)));
+      const valid = date.getUTCFullYear() === Number(y) && date.getUTCMonth() === Number(mo) - 1 && date.getUTCDate() === Number(d);
+      return valid ? { ok: true, value: date.toISOString().slice(0, 10) } : { ok: false };
+    }
+    case "pincode":
+      return /^[1-9]\d{5}$/.test(digits.replace(/\s/g, "")) ? { ok: true, value: digits.replace(/\s/g, "") } : { ok: false };
+    case "regex":
+      return compileKeywordRegex(node.input_pattern)?.test(text) ? { ok: true, value: text } : { ok: false };
+    default:
+      return text ? { ok: true, value: text } : { ok: false };
+  }
+}
 
-        let nodeToSend = null;
+// {{var}} / {{var | default}} from session variables; {{name}} falls back to the WhatsApp profile name.
+// escape is applied to each substituted value (e.g. encodeURIComponent for URLs).
+function interpolate(text, vars = {}, profile = {}, escape = String) {
+  if (!text || !text.includes("{{")) return text;
+  return text.replace(/\{\{\s*([\w.]+)\s*(?:\|\s*([^}]*?)\s*)?\}\}/g, (_, key, fallback) => {
+    const value = key === "contact_name" || key === "profile.name" ? profile.name : vars[key] ?? (key === "name" ? profile.name : undefined);
+    return escape(value === undefined || value === null || value === "" ? (fallback ?? "") : String(value));
+  });
+}
 
-        // CTA id
-        if (ctaId) {
-          const result = getNodeByCtaId(ctaId);
-          if (result) nodeToSend = flow.find(n => n.node_id === result.next_id) || result.node;
-        }
+function renderNode(node, vars, profile) {
+  if (!node) return node;
+  return {
+    ...node,
+    text: interpolate(node.text, vars, profile),
+    list_header: interpolate(node.list_header, vars, profile),
+    ctas: (node.ctas || []).map(c => ({ ...c, text: interpolate(c.text, vars, profile), description: interpolate(c.description, vars, profile) }))
+  };
+}
 
-        // Exact/fuzzy keyword match
-        if (!nodeToSend && text) nodeToSend = getNodeByExactOrFuzzy(text);
+// ---------------------- Session store ------------------------
+// A session is { node_id, last_sent_node_id, last_inbound_at, history, profile, updated_at, revision } keyed by the user's phone (msg.from).
+// profile ({ language, language_source, name }) and vars (answers captured by input nodes) survive session timeouts.
+// Stores expose async get/set/delete so the in-memory and Firestore backends are interchangeable.
+// set() bumps revision; the session passed in carries the revision it was loaded at.
+function createMemorySessionStore() {
+  const cache = new NodeCache({ stdTTL: Math.max(SESSION_TIMEOUT_SECONDS * 2, 86400), checkperiod: 600 });
+  return {
+    async get(phone) { return cache.get(phone) || null; },
+    async set(phone, session) { cache.set(phone, reconcileSession(phone, cache.get(phone), session)); },
+    async delete(phone) { cache.del(phone); }
+  };
+}
 
-        // Gemini AI fallback
-        if (!nodeToSend && text) {
-          const aiText = await getAIResponse(text);
-          if (aiText) nodeToSend = { text: aiText, ctas: [], media_url: null };
-        }
+function createFirestoreSessionStore(collection = process.env.SESSION_COLLECTION || "sessions") {
+  const col = () => getFirestore().collection(collection);
+  return {
+    async get(phone) {
+      const snap = await col().doc(phone).get();
+      return snap.exists ? snap.data() : null;
+    },
+    // Another instance may have handled a message from the same user since this session was loaded
+    async set(phone, session) {
+      const doc = col().doc(phone);
+      await getFirestore().runTransaction(async tx => {
+        const snap = await tx.get(doc);
+        tx.set(doc, reconcileSession(phone, snap.exists ? snap.data() : null, session));
+      });
+    },
+    async delete(phone) { await col().doc(phone).delete(); }
+  };
+}
+
+// When the stored session moved on since `session` was loaded, this turn's position wins but the answers,
+// profile and history saved in between are kept
+function reconcileSession(phone, stored, session) {
+  const revision = Number(stored?.revision || 0);
+  if (!stored || revision === Number(session.revision || 0)) return { ...session, revision: revision + 1 };
+  metrics.session_conflicts++;
+  console.warn(`Session for ${phone} was saved concurrently (revision ${revision}, loaded at ${session.revision || 0}); merging`);
+  const turn = h => `${h.at}:${h.role}:${h.text}`;
+  const ours = new Set((session.history || []).map(turn));
+  const history = [...(stored.history || []).filter(h => !ours.has(turn(h))), ...(session.history || [])]
+    .sort((a, b) => (a.at || 0) - (b.at || 0))
+    .slice(-AI_HISTORY_TURNS);
+  return {
+    ...session,
+    vars: { ...(stored.vars || {}), ...(session.vars || {}) },
+    profile: { ...(stored.profile || {}), ...(session.profile || {}) },
+    history,
+    revision: revision + 1
+  };
+}
+
+const sessionStore = SESSION_STORE === "firestore" ? createFirestoreSessionStore() : createMemorySessionStore();
+
+// Returns the stored session, or a fresh one (expired: true) when it has timed out; the caller puts it on its flow's start node.
+async function loadSession(phone) {
+  let session = null;
+  try {
+    session = await sessionStore.get(phone);
+  } catch (err) {
+    console.error("Session load error:", err?.message || err);
+  }
+  if (!session) return { node_id: null, last_sent_node_id: null, profile: {}, vars: {}, updated_at: null, expired: false };
+  if (Date.now() - Number(session.updated_at || 0) > SESSION_TIMEOUT_SECONDS * 1000) {
+    return { node_id: null, flow: session.flow || null, last_sent_node_id: session.last_sent_node_id || null, last_inbound_at: session.last_inbound_at || null, profile: session.profile || {}, vars: session.vars || {}, updated_at: null, revision: session.revision || 0, expired: true };
+  }
+  return { ...session, expired: false };
+}
+
+// Free-form messages are allowed only within 24h of the user's last inbound message
+async function isServiceWindowOpen(phone) {
+  try {
+    const session = await sessionStore.get(phone);
+    return !!session?.last_inbound_at && Date.now() - session.last_inbound_at < SERVICE_WINDOW_MS;
+  } catch (err) {
+    console.error("Session load error:", err?.message || err);
+    return false;
+  }
+}
+
+async function saveSession(phone, session) {
+  const { expired, ...data } = session;
+  try {
+    await sessionStore.set(phone, { ...data, updated_at: Date.now() });
+  } catch (err) {
+    console.error("Session save error:", err?.message || err);
+  }
+}
 
-        // Final fallback
-        if (!nodeToSend) nodeToSend = flow.find(n => n.type === 'fallback') || FALLBACK_NODE;
+// ---------------------- Message dedupe ------------------------
+// claim(id) resolves true the first time an inbound message id is seen within the TTL, false for retries.
+function createMemoryDedupeStore() {
+  const cache = new NodeCache({ stdTTL: DEDUPE_TTL_SECONDS, checkperiod: 120 });
+  return {
+    async claim(id) {
+      if (cache.has(id)) return false;
+      cache.set(id, Date.now());
+      return true;
+    }
+  };
+}
 
-        await sendWhatsAppMessage(phone, nodeToSend.text, nodeToSend.ctas || [], nodeToSend.media_url || null);
-      } catch (innerErr) {
-        console.error("Message processing error:", innerErr);
-        try { if (msg?.from) await sendWhatsAppMessage(msg.from, FALLBACK_NODE.text, []); } catch {}
+function createFirestoreDedupeStore(collection = process.env.DEDUPE_COLLECTION || "processedMessages") {
+  const col = () => getFirestore().collection(collection);
+  return {
+    async claim(id) {
+      const doc = col().doc(id);
+      const record = { claimed_at: Date.now(), expires_at: new Date(Date.now() + DEDUPE_TTL_SECONDS * 1000) };
+      try {
+        // create() fails with ALREADY_EXISTS (code 6) if another instance claimed it first
+        await doc.create(record);
+        return true;
+      } catch (err) {
+        if (err?.code !== 6) throw err;
       }
+      // Expired claims are not always cleaned up yet (Firestore TTL runs lazily)
+      return getFirestore().runTransaction(async tx => {
+        const snap = await tx.get(doc);
+        const expiresAt = snap.get('expires_at');
+        if (snap.exists && expiresAt && expiresAt.toMillis() > Date.now()) return false;
+        tx.set(doc, record);
+        return true;
+      });
     }
+  };
+}
+
+const dedupeStore = DEDUPE_STORE === "firestore" ? createFirestoreDedupeStore() : createMemoryDedupeStore();
+
+// Fails open: if the store is unreachable the message is processed rather than dropped
+async function claimMessage(id) {
+  if (!id) return true;
+  try {
+    return await dedupeStore.claim(id);
   } catch (err) {
-    console.error("processWebhookSafely top-level error:", err);
+    console.error("Dedupe store error:", err?.message || err);
+    return true;
   }
 }
 
-// ---------------------- Admin helpers ------------------------
-app.get('/health', (req, res) => res.json({ ok: true, ts: new Date().toISOString() }));
-app.get('/flow', (req, res) => res.json({ flow: getChatFlow(), rows: getChatFlow().length }));
-app.get('/reload-flow', async (req, res) => { const flow = await loadFlowFromGoogleSheet(); res.json({ reloaded: true, rows: flow.length }); });
+// ---------------------- Inbound message parsing ------------------------
+const MEDIA_TYPES = ["image", "audio", "video", "document", "sticker"];
+
+// Reduces every WhatsApp message type to { type, text, ctaId, media, location, contacts, reaction }
+function parseInboundMessage(msg) {
+  const type = msg?.type || (msg?.text ? "text" : "unknown");
+  const input = { type, text: "", ctaId: null, media: null, location: null, contacts: null, reaction: null };
+
+  if (type === "text") input.text = msg.text?.body || "";
+  else if (type === "button") {
+    input.text = msg.button?.text || "";
+    input.ctaId = msg.button?.payload || null;
+  } else if (type === "interactive") {
+    const reply = msg.interactive?.button_reply || msg.interactive?.list_reply || {};
+    input.text = reply.title || "";
+    input.ctaId = reply.id || null;
+  } else if (MEDIA_TYPES.includes(type)) {
+    const m = msg[type] || {};
+    input.media = { id: m.id || null, mime_type: m.mime_type || null, sha256: m.sha256 || null, filename: m.filename || null, voice: !!m.voice, animated: !!m.animated, url: null };
+    input.text = m.caption || "";
+  } else if (type === "location") {
+    const l = msg.location || {};
+    input.location = { latitude: l.latitude, longitude: l.longitude, name: l.name || null, address: l.address || null, url: l.url || null };
+  } else if (type === "contacts") {
+    input.contacts = (msg.contacts || []).map(c => ({ name: c.name?.formatted_name || null, phones: (c.phones || []).map(p => p.wa_id || p.phone).filter(Boolean) }));
+  } else if (type === "reaction") {
+    input.reaction = { message_id: msg.reaction?.message_id || null, emoji: msg.reaction?.emoji || null };
+  }
+  return input;
+}
 
-// ---------------------- Startup ------------------------
-(async () => {
+// Media ids resolve to short-lived (~5 min) URLs that need the bearer token to download
+const mediaUrlCache = new NodeCache({ stdTTL: 240, checkperiod: 60 });
+
+async function getMediaUrl(mediaId) {
+  if (!mediaId || !WHATSAPP_TOKEN) return null;
+  const cached = mediaUrlCache.get(mediaId);
+  if (cached) return cached;
   try {
-    console.log("Starting WhatsApp webhook server...");
-    await ensurePeriodicLoad();
-    const PORT = process.env.PORT || 8080;
-    app.listen(PORT, () => console.log(`Server started on port ${PORT}`));
+    const res = await fetcher(`${GRAPH_API_BASE}/${mediaId}`, { headers: { "Authorization": `Bearer ${WHATSAPP_TOKEN}` } });
+    const json = await res.json();
+    if (!res.ok || !json?.url) throw new Error(json?.error?.message || `Graph media HTTP ${res.status}`);
+    mediaUrlCache.set(mediaId, json.url);
+    return json.url;
   } catch (err) {
-    console.error("Startup error:", err);
-    process.exit(1);
+    console.error("Media URL lookup error:", err?.message || err);
+    return null;
+  }
+}
+
+// A node with type "await_<message type>" (e.g. await_image, await_location) waits for that kind of message;
+// "await_media" accepts any media type.
+function nodeAcceptsInput(node, input) {
+  const type = node?.type || "";
+  if (!type.startsWith("await_")) return false;
+  const wanted = type.slice("await_".length);
+  if (wanted === "media") return !!input.media;
+  if (wanted === "voice") return input.type === "audio" && input.media?.voice;
+  return wanted === input.type;
+}
+
+// ---------------------- Outbound message log ------------------------
+// One record per outbound wamid: { wamid, to, phone_number_id, node_id, payload, status, statuses, errors, created_at, updated_at }
+// Status only moves forward (sent -> delivered -> read) because Meta may deliver callbacks out of order; failed always wins.
+const STATUS_RANK = { accepted: 0, sent: 1, delivered: 2, read: 3, failed: 4 };
+
+function applyStatus(record, status) {
+  const next = { ...record, statuses: [...(record.statuses || []), { status: status.status, timestamp: status.timestamp || null }], updated_at: Date.now() };
+  if ((STATUS_RANK[status.status] ?? -1) > (STATUS_RANK[record.status] ?? -1)) next.status = status.status;
+  if (Array.isArray(status.errors) && status.errors.length) {
+    next.errors = status.errors.map(e => ({ code: e.code, title: e.title || null, message: e.message || e.error_data?.details || null }));
   }
-})();
+  if (!next.to && status.recipient_id) next.to = status.recipient_id;
+  return next;
+}
+
+// A status callback can arrive before the send is recorded; keep the status, history and errors it left
+function mergeMessageRecord(existing, message) {
+  if (!existing) return message;
+  const rank = s => STATUS_RANK[s] ?? -1;
+  return {
+    ...existing,
+    ...message,
+    status: rank(existing.status) > rank(message.status) ? existing.status : message.status,
+    statuses: [...(existing.statuses || []), ...(message.statuses || [])],
+    errors: existing.errors?.length ? existing.errors : message.errors,
+    updated_at: Math.max(existing.updated_at || 0, message.updated_at || 0)
+  };
+}
+
+function createMemoryMessageStore() {
+  const cache = new NodeCache({ stdTTL: MESSAGE_TTL_SECONDS, checkperiod: 600 });
+  const RECIPIENT_HISTORY = 100;
+  const index = (to, wamid) => {
+    if (!to) return;
+    const ids = (cache.get(`to:${to}`) || []).filter(x => x !== wamid);
+    ids.unshift(wamid);
+    cache.set(`to:${to}`, ids.slice(0, RECIPIENT_HISTORY));
+  };
+  return {
+    async record(message) {
+      cache.set(`msg:${message.wamid}`, mergeMessageRecord(cache.get(`msg:${message.wamid}`), message));
+      index(message.to, message.wamid);
+    },
+    async updateStatus(status) {
+      const base = cache.get(`msg:${status.id}`) || { wamid: status.id, to: status.recipient_id || null, status: null, created_at: Date.now() };
+      const next = applyStatus(base, status);
+      cache.set(`msg:${status.id}`, next);
+      index(next.to, next.wamid);
+      return next;
+    },
+    async get(wamid) { return cache.get(`msg:${wamid}`) || null; },
+    async listByRecipient(to, limit = 20) {
+      return (cache.get(`to:${to}`) || []).slice(0, limit).map(id => cache.get(`msg:${id}`)).filter(Boolean);
+    }
+  };
+}
+
+// listByRecipient needs a composite index on (to ASC, created_at DESC)
+function createFirestoreMessageStore(collection = process.env.MESSAGE_COLLECTION || "outboundMessages") {
+  const col = () => getFirestore().collection(collection);
+  return {
+    async record(message) {
+      const doc = col().doc(message.wamid);
+      await getFirestore().runTransaction(async tx => {
+        const snap = await tx.get(doc);
+        tx.set(doc, mergeMessageRecord(snap.exists ? snap.data() : null, message));
+      });
+    },
+    async updateStatus(status) {
+      const doc = col().doc(status.id);
+      return getFirestore().runTransaction(async tx => {
+        const snap = await tx.get(doc);
+        const base = snap.exists ? snap.data() : { wamid: status.id, to: status.recipient_id || null, status: null, created_at: Date.now() };
+        const next = applyStatus(base, status);
+        tx.set(doc, next);
+        return next;
+      });
+    },
+    async get(wamid) {
+      const snap = await col().doc(wamid).get();
+      return snap.exists ? snap.data() : null;
+    },
+    async listByRecipient(to, limit = 20) {
+      const snap = await col().where('to', '==', to).orderBy('created_at', 'desc').limit(limit).get();
+      return snap.docs.map(d => d.data());
+    }
+  };
+}
+
+const messageStore = MESSAGE_STORE === "firestore" ? createFirestoreMessageStore() : createMemoryMessageStore();
+
+async function recordOutboundMessage({ wamid, to, phoneNumberId, nodeId, payload }) {
+  if (!wamid) return;
+  const now = Date.now();
+  try {
+    await messageStore.record({ wamid, to, phone_number_id: phoneNumberId || null, node_id: nodeId || null, payload, status: "accepted", statuses: [], errors: [], created_at: now, updated_at: now });
+  } catch (err) {
+    console.error("Message log record error:", err?.message || err);
+  }
+}
+
+async function handleStatusEvent(event) {
+  const status = event.data;
+  if (!status?.id) return;
+  const record = await messageStore.updateStatus(status);
+  if (status.status === "failed") {
+    console.warn("Message delivery failed:", status.id, record.errors);
+    if ((record.errors || []).some(e => Number(e.code) === REENGAGEMENT_ERROR_CODE) && record.payload?.type !== "template") {
+      await sendReengagementTemplate(record.to, { phoneNumberId: record.phone_number_id || event.phone_number_id });
+    }
+  }
+}
+
+// ---------------------- Outbound queue ------------------------
+// Every Graph send goes through here: spaced to OUTBOUND_RATE_PER_SECOND per phone number id, one at a time
+// per recipient (so a retry never lets a later message overtake it), retried with backoff on transient errors,
+// and parked in the dead-letter store once it fails for good. The queue itself is in-process.
+// Graph codes that will not succeed on retry: bad/missing params, unsupported or bad media, undeliverable,
+// outside the 24h window, template errors, auth/permissions, policy blocks, unregistered or disallowed recipient
+const GRAPH_PERMANENT_CODES = new Set([
+  10, 100, 190, 200, 368, 131008, 131009, 131021, 131026, 131030, 131031, 131045, 131047, 131051, 131052, 131053,
+  132000, 132001, 132005, 132007, 132012, 132015, 132016, 133010
+]);
+// Rate limits, throttling and "try again later" errors
+const GRAPH_TRANSIENT_CODES = new Set([1, 2, 4, 80007, 130429, 131000, 131016, 131048, 131056, 133004]);
+// Throughput limits for the whole number, not just this recipient: the number's other sends wait as well
+const GRAPH_THROUGHPUT_CODES = new Set([4, 80007, 130429]);
+
+// "transient" | "permanent"; status is null when no response came back (network error, timeout)
+function classifyGraphError(status, error) {
+  const code = Number(error?.code);
+  if (GRAPH_PERMANENT_CODES.has(code)) return "permanent";
+  if (GRAPH_TRANSIENT_CODES.has(code) || error?.is_transient) return "transient";
+  return !status || status === 429 || status >= 500 ? "transient" : "permanent";
+}
+
+// Exponential with equal jitter: half the step is fixed, the other half random
+function outboundBackoff(attempt) {
+  const step = Math.min(OUTBOUND_RETRY_MAX_MS, OUTBOUND_RETRY_BASE_MS * 2 ** (attempt - 1));
+  return Math.floor(step / 2 + Math.random() * step / 2);
+}
+
+// Per phone number id: the earliest time the next request may go out
+const sendSlots = new Map();
+
+async function takeSendSlot(phoneNumberId) {
+  const now = Date.now();
+  const at = Math.max(now, sendSlots.get(phoneNumberId) || 0);
+  sendSlots.set(phoneNumberId, at + 1000 / OUTBOUND_RATE_PER_SECOND);
+  if (at > now) await sleep(at - now);
+}
+
+function pauseSendSlot(phoneNumberId, ms) {
+  sendSlots.set(phoneNumberId, Math.max(sendSlots.get(phoneNumberId) || 0, Date.now() + ms));
+}
+
+function createMemoryDeadLetterStore() {
+  const entries = new Map();
+  const MAX_ENTRIES = 1000;
+  return {
+    async save(entry) {
+      entries.set(entry.id, entry);
+      if (entries.size > MAX_ENTRIES) entries.delete(entries.keys().next().value);
+    },
+    async get(id) { return entries.get(id) || null; },
+    async update(id, patch) {
+      const entry = entries.get(id);
+      if (entry) entries.set(id, { ...entry, ...patch });
+    },
+    async remove(id) { return entries.delete(id); },
+    async list({ status, to, limit = 50 } = {}) {
+      return [...entries.values()]
+        .filter(e => (!status || e.status === status) && (!to || e.to === to))
+        .sort((a, b) => b.failed_at - a.failed_at)
+        .slice(0, limit);
+    }
+  };
+}
+
+// list with a status or to filter needs a composite index on (status|to ASC, failed_at DESC)
+function createFirestoreDeadLetterStore(collection = process.env.DEAD_LETTER_COLLECTION || "deadLetters") {
+  const col = () => getFirestore().collection(collection);
+  return {
+    async save(entry) { await col().doc(entry.id).set(entry); },
+    async get(id) {
+      const snap = await col().doc(id).get();
+      return snap.exists ? snap.data() : null;
+    },
+    async update(id, patch) { await col().doc(id).set(patch, { merge: true }); },
+    async remove(id) {
+      const doc = col().doc(id);
+      if (!(await doc.get()).exists) return false;
+      await doc.delete();
+      return true;
+    },
+    async list({ status, to, limit = 50 } = {}) {
+      let query = col();
+      if (status) query = query.where('status', '==', status);
+      if (to) query = query.where('to', '==', to);
+      const snap = await query.orderBy('failed_at', 'desc').limit(limit).get();
+      return snap.docs.map(d => d.data());
+    }
+  };
+}
+
+const deadLetterStore = DEAD_LETTER_STORE === "firestore" ? createFirestoreDeadLetterStore() : createMemoryDeadLetterStore();
+
+// A replayed entry that fails again is updated in place rather than parked twice; only a stored entry is counted
+async function parkDeadLetter(job, failure) {
+  const now = Date.now();
+  try {
+    if (job.deadLetterId) {
+      const entry = await deadLetterStore.get(job.deadLetterId);
+      await deadLetterStore.update(job.deadLetterId, { status: "dead", attempts: (entry?.attempts || 0) + failure.attempts, classification: failure.classification, error: failure.error, failed_at: now });
+      metrics.outbound_dead_lettered++;
+      return job.deadLetterId;
+    }
+    const id = crypto.randomUUID();
+    await deadLetterStore.save({
+      id,
+      status: "dead",
+      phone_number_id: job.phoneNumberId,
+      to: job.to,
+      node_id: job.nodeId || null,
+      payload: job.body,
+      attempts: failure.attempts,
+      classification: failure.classification,
+      error: failure.error,
+      replays: 0,
+      created_at: job.queuedAt,
+      failed_at: now
+    });
+    metrics.outbound_dead_lettered++;
+    return id;
+  } catch (err) {
+    console.error("Dead-letter store error:", err?.message || err);
+    return null;
+  }
+}
+
+// Resolves with the Graph response: { messages } on success, { error } on a Graph error, null without a response.
+// job.holdReengagement leaves a 131047 failure unparked in job.heldFailure for the sender to deal with.
+async function deliverOutbound(job) {
+  const url = `${GRAPH_API_BASE}/${job.phoneNumberId}/messages`;
+  for (let attempt = 1; ; attempt++) {
+    await takeSendSlot(job.phoneNumberId);
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), OUTBOUND_TIMEOUT_MS);
+    let status = null, json = null, retryAfterMs = null, failure = null;
+    try {
+      const res = await fetcher(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", "Authorization": `Bearer ${WHATSAPP_TOKEN}` },
+        body: JSON.stringify(job.body),
+        signal: controller.signal
+      });
+      status = res.status || null;
+      retryAfterMs = Number(res.headers?.get?.('retry-after')) * 1000 || null;
+      json = await res.json().catch(() => null);
+    } catch (err) {
+      failure = err.name === "AbortError" ? `timed out after ${OUTBOUND_TIMEOUT_MS}ms` : err?.message || String(err);
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (json?.messages) {
+      console.log("WhatsApp send response:", json);
+      metrics.outbound_sent++;
+      await recordOutboundMessage({ wamid: json.messages[0]?.id, to: job.to, phoneNumberId: job.phoneNumberId, nodeId: job.nodeId, payload: job.body });
+      return json;
+    }
+
+    const graphError = json?.error || null;
+    const classification = classifyGraphError(status, graphError);
+    const reason = failure || (graphError ? `${graphError.code} ${graphError.message || ""}`.trim() : `HTTP ${status}`);
+    if (classification === "transient" && attempt < OUTBOUND_MAX_ATTEMPTS) {
+      const delay = retryAfterMs || outboundBackoff(attempt);
+      if (status === 429 || GRAPH_THROUGHPUT_CODES.has(Number(graphError?.code))) pauseSendSlot(job.phoneNumberId, delay);
+      metrics.outbound_retries++;
+      console.warn(`WhatsApp send to ${job.to} attempt ${attempt} failed (${reason}); retrying in ${delay}ms`);
+      await sleep(delay);
+      continue;
+    }
+
+    console.error("WhatsApp send error:", reason, `(${classification}, ${attempt} attempt${attempt === 1 ? "" : "s"})`);
+    const failed = {
+      attempts: attempt,
+      classification,
+      error: { status, code: graphError?.code ?? null, subcode: graphError?.error_subcode ?? null, message: failure || graphError?.message || null, details: graphError?.error_data?.details || null }
+    };
+    if (job.holdReengagement && Number(graphError?.code) === REENGAGEMENT_ERROR_CODE && job.body.type !== "template") job.heldFailure = failed;
+    else await parkDeadLetter(job, failed);
+    return json;
+  }
+}
+
+// Runs fn once everything chained before it under the same key (in this process) has settled
+function chainByKey(queues, key, fn) {
+  const run = (queues.get(key) || Promise.resolve()).then(fn);
+  const tail = run.catch(() => {});
+  queues.set(key, tail);
+  tail.then(() => { if (queues.get(key) === tail) queues.delete(key); });
+  return run;
+}
+
+// Sends to one recipient (from one number) run strictly one after another
+const recipientQueues = new Map();
+
+function enqueueOutbound(job) {
+  job.queuedAt = job.queuedAt || Date.now();
+  metrics.outbound_pending++;
+  return chainByKey(recipientQueues, `${job.phoneNumberId}:${job.to}`, () => deliverOutbound(job).finally(() => { metrics.outbound_pending--; }));
+}
+
+// Sends the parked payload again with a fresh set of attempts; null when there is no such entry
+async function replayDeadLetter(id) {
+  const entry = await deadLetterStore.get(id);
+  if (!entry) return null;
+  await deadLetterStore.update(id, { status: "replaying", replays: (entry.replays || 0) + 1 });
+  let json = null;
+  try {
+    json = await enqueueOutbound({ phoneNumberId: entry.phone_number_id, to: entry.to, nodeId: entry.node_id, body: entry.payload, deadLetterId: id });
+  } finally {
+    // Anything short of a sent message leaves the entry parked (parkDeadLetter has already recorded why)
+    await deadLetterStore.update(id, json?.messages ? { status: "replayed", replayed_at: Date.now(), wamid: json.messages[0]?.id || null } : { status: "dead" });
+  }
+  return { ...(await deadLetterStore.get(id)), response: json };
+}
+
+// ---------------------- AI fallback ------------------------
+// Conversation history lives on the session as [{ role: "user" | "model", text, at }]
+function appendHistory(session, role, text) {
+  if (!text) return;
+  const history = Array.isArray(session.history) ? session.history : [];
+  history.push({ role, text: truncate(text, 1000), at: Date.now() });
+  session.history = history.slice(-AI_HISTORY_TURNS);
+}
+
+// Editable in the sheet: the text of a row with type=ai_prompt replaces the flow's persona, then AI_SYSTEM_PROMPT
+function getSystemPromptTemplate() {
+  return getChatFlow().find(n => n.type === 'ai_prompt' && n.text)?.text || getFlowConfig().persona || AI_SYSTEM_PROMPT;
+}
+
+// Cheap relevance: shared words between the message and each node's keyword + text
+function getGroundingNodes(message, limit = AI_CONTEXT_NODES) {
+  const words = s => new Set((s || "").toLowerCase().split(/[^\p{L}\p{M}\p{N}]+/u).filter(w => w.length > 2));
+  const query = words(message);
+  return getChatFlow()
+    .filter(n => n.text && !['ai_prompt', 'fallback', 'condition', 'set_variable', 'delay', 'http'].includes(n.type))
+    .map(n => {
+      const nodeWords = words(`${(n.keywords || []).join(" ")} ${n.text}`);
+      let score = 0;
+      for (const w of query) if (nodeWords.has(w)) score++;
+      return { node: n, score };
+    })
+    .filter(x => x.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(x => x.node);
+}
+
+// Knowledge-base passages come first (numbered so the model can refer to them), then matching flow node texts
+function buildSystemInstruction(message, passages = [], language = null) {
+  const lines = [
+    ...passages.map((p, i) => `[${i + 1}] Q: ${p.question}\n    A: ${p.answer.replace(/\s+/g, " ").trim()}`),
+    ...getGroundingNodes(message).map(n => `- ${n.text.replace(/\s+/g, " ").trim()}`)
+  ];
+  const context = lines.join("\n") || "(no matching information)";
+  const template = getSystemPromptTemplate();
+  const instruction = template.includes("{{context}}") ? template.replace("{{context}}", context) : `${template}\n\nAvasar information:\n${context}`;
+  const languageName = LANGUAGE_NAMES[language || DEFAULT_LOCALE];
+  return languageName ? `${instruction}\n\nAlways reply in ${languageName}, whatever language the information above is in.` : instruction;
+}
+
+// history excludes the current message; Gemini expects alternating user/model turns starting with user
+function buildGeminiContents(message, history = []) {
+  const contents = [];
+  for (const turn of history) {
+    const last = contents[contents.length - 1];
+    if (last?.role === turn.role) last.parts[0].text += `\n${turn.text}`;
+    else if (contents.length || turn.role === "user") contents.push({ role: turn.role, parts: [{ text: turn.text }] });
+  }
+  if (contents[contents.length - 1]?.role === "user") contents[contents.length - 1].parts[0].text += `\n${message}`;
+  else contents.push({ role: "user", parts: [{ text: message }] });
+  return contents;
+}
+
+// OpenAI-style chat messages from the same history ("model" turns become "assistant")
+function buildChatMessages(system, message, history = []) {
+  return [
+    { role: "system", content: system },
+    ...history.map(t => ({ role: t.role === "model" ? "assistant" : "user", content: t.text })),
+    { role: "user", content: message }
+  ];
+}
+
+// ---------------------- LLM providers ------------------------
+// Every provider exposes:
+//   name, isConfigured()
+//   generate({ system, message, history, model, temperature, maxOutputTokens }) -> { text, finishReason, blocked }
+//   classify({ system, message, history, model }) -> parsed { node_id, confidence, reason } JSON or null
+
+// Retries 429/5xx/timeouts with exponential backoff (honouring Retry-After); other HTTP errors throw immediately.
+// method/payload/headers describe the request; metric picks the metrics counters (ai_*, http_*).
+// Strict mode expects a JSON response; otherwise an empty or non-JSON body resolves to { status, json: null }.
+async function requestWithRetry(url, { method = "POST", payload, headers = {}, label = "AI", timeoutMs = AI_TIMEOUT_MS, retries = AI_MAX_RETRIES, metric = "ai", strict = true } = {}) {
+  metrics[`${metric}_requests`]++;
+  for (let attempt = 0; ; attempt++) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    let retryAfterMs = null;
+    try {
+      const res = await fetcher(url, {
+        method,
+        headers: payload === undefined ? headers : { "Content-Type": "application/json", ...headers },
+        body: payload === undefined ? undefined : JSON.stringify(payload),
+        signal: controller.signal
+      });
+      if (res.status === 429 || res.status >= 500) {
+        retryAfterMs = Number(res.headers?.get?.('retry-after')) * 1000 || null;
+        throw Object.assign(new Error(`${label} HTTP ${res.status}`), { retryable: true });
+      }
+      if (!strict) {
+        const text = await res.text();
+        let json = null;
+        try { json = text ? JSON.parse(text) : null; } catch {}
+        if (!res.ok) throw new Error(json?.error?.message || json?.message || `${label} HTTP ${res.status}`);
+        return { status: res.status, json };
+      }
+      const json = await res.json();
+      if (!res.ok) throw new Error(json?.error?.message || `${label} HTTP ${res.status}`);
+      return json;
+    } catch (err) {
+      const retryable = err.retryable || err.name === "AbortError" || err.name === "TypeError";
+      if (!retryable || attempt >= retries) {
+        metrics[`${metric}_errors`]++;
+        throw err.name === "AbortError" ? new Error(`${label} timed out after ${timeoutMs}ms`) : err;
+      }
+      metrics[`${metric}_retries`]++;
+      const delay = retryAfterMs || Math.min(8000, 500 * 2 ** attempt) + Math.floor(Math.random() * 250);
+      console.warn(`${label} attempt ${attempt + 1} failed (${err.message}); retrying in ${delay}ms`);
+      await sleep(delay);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+function logUsage(label, prompt = 0, output = 0) {
+  metrics.ai_prompt_tokens += prompt;
+  metrics.ai_output_tokens += output;
+  console.log(`${label} usage:`, { prompt, output, total: prompt + output });
+}
+
+// Returns { text, finishReason, blocked }. blocked is the block/finish reason when Gemini withheld the answer.
+const GEMINI_BLOCK_REASONS = ["SAFETY", "RECITATION", "BLOCKLIST", "PROHIBITED_CONTENT", "SPII", "IMAGE_SAFETY"];
+
+function trimToSentence(text) {
+  const end = Math.max(text.lastIndexOf(". "), text.lastIndexOf("! "), text.lastIndexOf("? "), text.lastIndexOf("\n"));
+  return end > text.length / 2 ? text.slice(0, end + 1).trim() : text;
+}
+
+function extractGeminiText(json) {
+  const blockReason = json?.promptFeedback?.blockReason;
+  if (blockReason) return { text: null, finishReason: null, blocked: blockReason };
+  const candidate = json?.candidates?.[0];
+  const finishReason = candidate?.finishReason || null;
+  if (GEMINI_BLOCK_REASONS.includes(finishReason)) return { text: null, finishReason, blocked: finishReason };
+  let text = (candidate?.content?.parts || []).map(p => p.text || "").join("").trim();
+  if (finishReason === "MAX_TOKENS" && text) {
+    // Cut back to the last full sentence rather than sending half a word
+    text = trimToSentence(text);
+    console.warn("Gemini answer hit MAX_TOKENS; trimmed to", text.length, "chars");
+  }
+  return { text: text || null, finishReason, blocked: null };
+}
+
+const INTENT_SCHEMA = {
+  type: "OBJECT",
+  properties: { node_id: { type: "STRING", nullable: true }, confidence: { type: "NUMBER" }, reason: { type: "STRING" } },
+  required: ["node_id", "confidence"]
+};
+
+// Gemini API and Vertex AI share the generateContent request/response format; only URL and auth differ
+function createGenerateContentProvider({ name, isConfigured, urlFor, headers }) {
+  const call = async (model, payload) => {
+    const json = await requestWithRetry(urlFor(model), { payload, headers: await headers(), label: name });
+    const usage = json?.usageMetadata;
+    if (usage) logUsage(name, usage.promptTokenCount || 0, usage.candidatesTokenCount || 0);
+    return extractGeminiText(json);
+  };
+  return {
+    name,
+    isConfigured,
+    async generate({ system, message, history, model, temperature, maxOutputTokens = 300 }) {
+      const generationConfig = { maxOutputTokens };
+      if (temperature != null) generationConfig.temperature = temperature;
+      return call(model, { systemInstruction: { parts: [{ text: system }] }, contents: buildGeminiContents(message, history), generationConfig });
+    },
+    async classify({ system, message, history, model }) {
+      const { text, blocked } = await call(model, {
+        systemInstruction: { parts: [{ text: system }] },
+        contents: buildGeminiContents(message, history),
+        generationConfig: { temperature: 0, responseMimeType: "application/json", responseSchema: INTENT_SCHEMA }
+      });
+      if (blocked) metrics.ai_blocked++;
+      return text ? JSON.parse(text) : null;
+    }
+  };
+}
+
+// Key goes in a header, not the query string, so it stays out of request logs
+function createGeminiProvider() {
+  return createGenerateContentProvider({
+    name: "Gemini",
+    isConfigured: () => !!GEMINI_API_KEY,
+    urlFor: model => `${GEMINI_API_BASE}/models/${model}:generateContent`,
+    headers: async () => ({ "x-goog-api-key": GEMINI_API_KEY })
+  });
+}
+
+// On Cloud Run the access token comes from the metadata server; VERTEX_ACCESS_TOKEN overrides it locally
+let vertexToken = { value: null, expiresAt: 0 };
+async function getVertexAccessToken() {
+  if (process.env.VERTEX_ACCESS_TOKEN) return process.env.VERTEX_ACCESS_TOKEN;
+  if (vertexToken.value && vertexToken.expiresAt > Date.now() + 60000) return vertexToken.value;
+  const res = await fetcher("http://metadata.google.internal/computeMetadata/v1/instance/service-accounts/default/token", { headers: { "Metadata-Flavor": "Google" } });
+  if (!res.ok) throw new Error(`Metadata token HTTP ${res.status}`);
+  const json = await res.json();
+  vertexToken = { value: json.access_token, expiresAt: Date.now() + (json.expires_in || 0) * 1000 };
+  return vertexToken.value;
+}
+
+function createVertexProvider() {
+  return createGenerateContentProvider({
+    name: "Vertex",
+    isConfigured: () => !!VERTEX_PROJECT,
+    urlFor: model => `https://${VERTEX_LOCATION}-aiplatform.googleapis.com/v1/projects/${VERTEX_PROJECT}/locations/${VERTEX_LOCATION}/publishers/google/models/${model}:generateContent`,
+    headers: async () => ({ "Authorization": `Bearer ${await getVertexAccessToken()}` })
+  });
+}
+
+// Any /chat/completions server: OpenAI, or a local model (Ollama, vLLM, llama.cpp) via OPENAI_BASE_URL
+function createOpenAIProvider() {
+  const name = "OpenAI";
+  const call = async (payload) => {
+    const headers = OPENAI_API_KEY ? { "Authorization": `Bearer ${OPENAI_API_KEY}` } : {};
+    const json = await requestWithRetry(`${OPENAI_BASE_URL}/chat/completions`, { payload, headers, label: name });
+    if (json?.usage) logUsage(name, json.usage.prompt_tokens || 0, json.usage.completion_tokens || 0);
+    const choice = json?.choices?.[0];
+    const finishReason = choice?.finish_reason || null;
+    if (finishReason === "content_filter") return { text: null, finishReason, blocked: finishReason };
+    let text = (choice?.message?.content || "").trim();
+    if (finishReason === "length" && text) text = trimToSentence(text);
+    return { text: text || null, finishReason, blocked: null };
+  };
+  return {
+    name,
+    isConfigured: () => !!(OPENAI_API_KEY || process.env.OPENAI_BASE_URL),
+    async generate({ system, message, history, model, temperature, maxOutputTokens = 300 }) {
+      const payload = { model, messages: buildChatMessages(system, message, history), max_tokens: maxOutputTokens };
+      if (temperature != null) payload.temperature = temperature;
+      return call(payload);
+    },
+    async classify({ system, message, history, model }) {
+      const instruction = `${system}\nReply only with a JSON object: {"node_id": string|null, "confidence": number, "reason": string}`;
+      const { text, blocked } = await call({ model, messages: buildChatMessages(instruction, message, history), temperature: 0, response_format: { type: "json_object" } });
+      if (blocked) metrics.ai_blocked++;
+      return text ? JSON.parse(text) : null;
+    }
+  };
+}
+
+// Deterministic, offline: echoes the message and classifies by keyword overlap. For tests and local runs.
+// confidence is 1 when a whole keyword appears in the message as a phrase of whole words ("hi" is not in "this"),
+// else the share of its words that do.
+function createEchoProvider() {
+  const words = s => s.toLowerCase().split(/[^\p{L}\p{M}\p{N}]+/u).filter(Boolean);
+  const score = (text, keyword) => {
+    const kw = words(keyword);
+    const tw = words(text);
+    if (!kw.length) return 0;
+    if (tw.some((_, i) => kw.every((w, j) => tw[i + j] === w))) return 1;
+    const present = new Set(tw);
+    return kw.filter(w => present.has(w)).length / kw.length;
+  };
+  return {
+    name: "Echo",
+    isConfigured: () => true,
+    async generate({ message }) {
+      return { text: `Echo: ${message}`, finishReason: "STOP", blocked: null };
+    },
+    async classify({ message, candidates = [] }) {
+      const text = (message || "").toLowerCase();
+      let best = { node_id: null, confidence: 0, reason: "no keyword" };
+      for (const c of candidates) {
+        for (const keyword of (c.keywords || "").split("|").map(k => k.trim().toLowerCase()).filter(Boolean)) {
+          const confidence = score(text, keyword);
+          if (confidence > best.confidence) best = { node_id: c.node_id, confidence, reason: `keyword "${keyword}"` };
+        }
+      }
+      return best;
+    }
+  };
+}
+
+const AI_PROVIDERS = { gemini: createGeminiProvider, vertex: createVertexProvider, openai: createOpenAIProvider, echo: createEchoProvider };
+const DEFAULT_AI_MODELS = { gemini: GEMINI_MODEL, vertex: GEMINI_MODEL, openai: OPENAI_MODEL, echo: "echo" };
+
+function createAIProvider(name = AI_PROVIDER) {
+  const factory = AI_PROVIDERS[name];
+  if (!factory) {
+    console.error(`Unknown AI_PROVIDER "${name}", using gemini`);
+    return createGeminiProvider();
+  }
+  return factory();
+}
+
+const aiProvider = createAIProvider();
+
+// Per-node overrides (ai_model / ai_temperature columns) on the user's current node, then on the ai_prompt row
+function getAIOptions(node) {
+  const promptNode = getChatFlow().find(n => n.type === 'ai_prompt');
+  const pick = field => node?.[field] || promptNode?.[field] || null;
+  const temperature = pick('ai_temperature');
+  return {
+    model: pick('ai_model') || AI_MODEL || DEFAULT_AI_MODELS[AI_PROVIDER] || GEMINI_MODEL,
+    temperature: temperature !== null && temperature !== "" && !isNaN(Number(temperature)) ? Number(temperature) : AI_TEMPERATURE
+  };
+}
+
+// ---------------------- AI intent classification ------------------------
+// Nodes a user can be routed to: anything with a keyword or an intent description
+function getIntentCandidates() {
+  return getChatFlow()
+    .filter(n => n.node_id && (n.keywords?.length || n.intent) && !['ai_prompt', 'fallback', 'set_variable', 'delay', 'http'].includes(n.type))
+    .map(n => ({ node_id: n.node_id, keywords: (n.keywords || []).join("|"), intent: n.intent || truncate(n.text, 120) }));
+}
+
+// Returns { node_id, confidence, reason } or null; node_id is null when no node fits
+async function classifyIntent(message, { history = [], node = null, provider = aiProvider } = {}) {
+  const candidates = getIntentCandidates();
+  if (!provider.isConfigured() || !message || !candidates.length) return null;
+  try {
+    const system = [
+      "You route WhatsApp messages for the Avasar bot to one of the menu nodes below.",
+      "Pick the node whose intent best matches the user's latest message, using earlier turns only for context.",
+      "Return node_id null when none of them fits. confidence is between 0 and 1.",
+      "",
+      "Nodes (JSON):",
+      JSON.stringify(candidates)
+    ].join("\n");
+    const parsed = await provider.classify({ system, message, history, candidates, model: getAIOptions(node).model });
+    if (!parsed) return null;
+    const known = candidates.some(c => c.node_id === parsed.node_id);
+    return { node_id: known ? parsed.node_id : null, confidence: Number(parsed.confidence) || 0, reason: parsed.reason || null };
+  } catch (err) {
+    console.error(`${provider.name} intent error:`, err?.message || err);
+    return null;
+  }
+}
+
+// With a knowledge base loaded, answers are grounded in its top passages (with source links);
+// when nothing relevant is found the bot says it doesn't know instead of letting the model guess.
+async function getAIResponse(message, { history = [], node = null, language = null, provider = aiProvider } = {}) {
+  if (!provider.isConfigured() || !message) return null;
+  try {
+    const passages = searchKnowledgeBase(message);
+    if (getKnowledgeBase()?.size && !passages.length) {
+      console.log("Knowledge base has no match for:", message);
+      return KB_NO_ANSWER_REPLY;
+    }
+    const { model, temperature } = getAIOptions(node);
+    const { text, blocked } = await provider.generate({ system: buildSystemInstruction(message, passages, language), message, history, model, temperature });
+    if (blocked) {
+      metrics.ai_blocked++;
+      console.warn(`${provider.name} blocked the reply:`, blocked);
+      return AI_BLOCKED_REPLY;
+    }
+    const sources = [...new Set(passages.map(p => p.source_url).filter(Boolean))];
+    return text && sources.length ? `${text}\n\nSources:\n${sources.join("\n")}` : text;
+  } catch (err) {
+    console.error(`${provider.name} AI error:`, err?.message || err);
+    return null;
+  }
+}
+
+// ---------------------- WhatsApp sender ------------------------
+function truncate(str, max) {
+  const s = (str || "").toString();
+  return s.length > max ? s.slice(0, max - 1) + "…" : s;
+}
+
+// Up to 3 CTAs go out as reply buttons, more as a list grouped by cta.section (falling back to list.section)
+function buildInteractive(text, ctas, list = {}) {
+  const body = { text: text || "Choose" };
+  if (ctas.length <= MAX_REPLY_BUTTONS) {
+    return { type: "button", body, action: { buttons: ctas.map(c => ({ type: "reply", reply: { id: c.id, title: truncate(c.text, 20) } })) } };
+  }
+  const sections = [];
+  for (const c of ctas.slice(0, MAX_CTAS)) {
+    const title = truncate(c.section || list.section || "Options", 24);
+    let section = sections.find(x => x.title === title);
+    if (!section) sections.push(section = { title, rows: [] });
+    const row = { id: c.id, title: truncate(c.text, 24) };
+    if (c.description) row.description = truncate(c.description, 72);
+    section.rows.push(row);
+  }
+  const interactive = { type: "list", body, action: { button: truncate(list.button || "Options", 20), sections } };
+  if (list.header) interactive.header = { type: "text", text: truncate(list.header, 60) };
+  return interactive;
+}
+
+// Media type comes from the sheet's media_type column, else from the URL's file extension
+const MEDIA_EXTENSIONS = {
+  image: ["jpg", "jpeg", "png"],
+  video: ["mp4", "3gp"],
+  audio: ["mp3", "ogg", "opus", "aac", "amr", "m4a"],
+  sticker: ["webp"],
+  document: ["pdf", "doc", "docx", "xls", "xlsx", "ppt", "pptx", "txt", "csv"]
+};
+
+function resolveMediaType(url, type) {
+  const t = (type || "").toLowerCase().trim();
+  if (MEDIA_TYPES.includes(t)) return t;
+  const ext = ((url || "").split(/[?#]/)[0].split(".").pop() || "").toLowerCase();
+  return Object.keys(MEDIA_EXTENSIONS).find(k => MEDIA_EXTENSIONS[k].includes(ext)) || "image";
+}
+
+// media may be a URL string or { url, type, filename }
+function normalizeMedia(media) {
+  if (!media) return null;
+  const m = typeof media === "string" ? { url: media } : media;
+  if (!m.url) return null;
+  const filename = m.filename || (m.url.split(/[?#]/)[0].split("/").pop() || null);
+  return { url: m.url, type: resolveMediaType(m.url, m.type), filename };
+}
+
+// Returns the Graph message bodies to send, in order. Captions/headers are used where WhatsApp allows
+// them (image/video/document); audio and stickers go out as their own message before the text.
+function buildMessageBodies(text, ctas, media, list) {
+  const bodies = [];
+  if (media) {
+    const captionable = ["image", "video", "document"].includes(media.type);
+    const canHeader = captionable && ctas.length && ctas.length <= MAX_REPLY_BUTTONS;
+    if (canHeader) {
+      const interactive = buildInteractive(text, ctas, list);
+      interactive.header = { type: media.type, [media.type]: media.type === "document" ? { link: media.url, filename: media.filename } : { link: media.url } };
+      return [{ type: "interactive", interactive }];
+    }
+    const mediaObj = { link: media.url };
+    if (media.type === "document" && media.filename) mediaObj.filename = media.filename;
+    if (captionable && text && !ctas.length) mediaObj.caption = truncate(text, 1024);
+    bodies.push({ type: media.type, [media.type]: mediaObj });
+    if (captionable && !ctas.length) return bodies;
+    if (!text && !ctas.length) return bodies;
+  }
+  if (ctas.length) bodies.push({ type: "interactive", interactive: buildInteractive(text, ctas, list) });
+  else bodies.push({ type: "text", text: { body: text || FALLBACK_NODE.text } });
+  return bodies;
+}
+
+// Queued: resolves once the message is sent or, after retries, dead-lettered
+// opts.reengage answers a send outside the 24h window (131047) with the re-engagement template; the response then
+// carries reengaged: true. The message is dead-lettered only when no template went out (unset, throttled or failed).
+async function postWhatsAppMessage(phoneNumberId, phoneNumber, message, opts = {}) {
+  const body = { messaging_product: "whatsapp", to: phoneNumber, ...message };
+  const job = { phoneNumberId, to: phoneNumber, nodeId: opts.nodeId, body, holdReengagement: !!opts.reengage };
+  const json = await enqueueOutbound(job);
+  if (!job.heldFailure) return json;
+  const template = await sendReengagementTemplate(phoneNumber, { phoneNumberId, nodeId: opts.nodeId });
+  if (template?.messages) return { ...template, reengaged: true };
+  await parkDeadLetter(job, job.heldFailure);
+  return json;
+}
+
+// ---------------------- Template messages ------------------------
+// params = { language, header, body, buttons }:
+//   header  - array of text values, or { type: "image" | "video" | "document", link, filename }
+//   body    - array of text values for {{1}}, {{2}}, ...
+//   buttons - array of url suffix strings, or { sub_type: "url" | "quick_reply", index, text | payload }
+function buildTemplateComponents({ header, body, buttons } = {}) {
+  const components = [];
+  if (Array.isArray(header) && header.length) {
+    components.push({ type: "header", parameters: header.map(text => ({ type: "text", text: String(text) })) });
+  } else if (header?.link) {
+    const media = { link: header.link };
+    if (header.type === "document" && header.filename) media.filename = header.filename;
+    components.push({ type: "header", parameters: [{ type: header.type || "image", [header.type || "image"]: media }] });
+  }
+  if (Array.isArray(body) && body.length) {
+    components.push({ type: "body", parameters: body.map(text => ({ type: "text", text: String(text) })) });
+  }
+  (buttons || []).forEach((b, i) => {
+    const btn = typeof b === "string" ? { sub_type: "url", index: i, text: b } : b;
+    const parameter = btn.sub_type === "quick_reply" ? { type: "payload", payload: btn.payload } : { type: "text", text: String(btn.text) };
+    components.push({ type: "button", sub_type: btn.sub_type || "url", index: String(btn.index ?? i), parameters: [parameter] });
+  });
+  return components;
+}
+
+// Sheet defaults for a template; explicit params take precedence
+function templateDefaults(def) {
+  if (!def) return {};
+  const header = !def.header_type ? undefined
+    : def.header_type === "text" ? (def.header_value ? [def.header_value] : undefined)
+    : (def.header_value ? { type: def.header_type, link: def.header_value } : undefined);
+  return { language: def.language, header, body: def.body_params, buttons: def.button_params };
+}
+
+// nameOrKey may be a key from the template sheet tab or a raw Meta template name
+async function sendTemplateMessage(phoneNumber, nameOrKey, params = {}, opts = {}) {
+  const phoneNumberId = opts.phoneNumberId || WHATSAPP_PHONE_ID;
+  if (!WHATSAPP_TOKEN || !phoneNumberId || !nameOrKey) return null;
+  const def = getTemplate(nameOrKey);
+  const merged = { ...templateDefaults(def), ...Object.fromEntries(Object.entries(params).filter(([, v]) => v !== undefined)) };
+  const template = { name: def?.name || nameOrKey, language: { code: merged.language || "en" } };
+  const components = buildTemplateComponents(merged);
+  if (components.length) template.components = components;
+  return postWhatsAppMessage(phoneNumberId, phoneNumber, { type: "template", template }, opts);
+}
+
+// Throttled so a burst of failed messages to one user sends a single template
+const reengagementCache = new NodeCache({ stdTTL: 3600, checkperiod: 300 });
+
+async function sendReengagementTemplate(phoneNumber, opts = {}) {
+  if (!REENGAGEMENT_TEMPLATE || !phoneNumber || reengagementCache.get(phoneNumber)) return null;
+  reengagementCache.set(phoneNumber, true);
+  console.log("Outside 24h window, sending re-engagement template to", phoneNumber);
+  return sendTemplateMessage(phoneNumber, REENGAGEMENT_TEMPLATE, {}, opts);
+}
+
+// opts.phoneNumberId replies from the number the message arrived on (defaults to WHATSAPP_PHONE_ID)
+// opts.nodeId is stored with the outbound message record for status tracking
+// opts.list = { header, button, section } labels the list message used for more than 3 CTAs
+// media is a URL or { url, type, filename }; text becomes the caption and CTAs stay attached
+async function sendWhatsAppMessage(phoneNumber, text, ctas = [], media = null, opts = {}) {
+  const phoneNumberId = opts.phoneNumberId || WHATSAPP_PHONE_ID;
+  if (!WHATSAPP_TOKEN || !phoneNumberId) return null;
+
+  let json = null;
+  for (const message of buildMessageBodies(text, ctas || [], normalizeMedia(media), opts.list)) {
+    json = await postWhatsAppMessage(phoneNumberId, phoneNumber, message, { ...opts, reengage: true });
+    if (json?.reengaged || !json?.messages) break;
+  }
+  return json;
+}
+
+// ---------------------- Webhook GET / verification ------------------------
+app.get('/', (req, res) => {
+  const mode = req.query['hub.mode'];
+  const token = req.query['hub.verify_token'];
+  const challenge = req.query['hub.challenge'];
+  if (mode === 'subscribe' && token === VERIFY_TOKEN) return res.status(200).send(challenge);
+  return res.status(403).send("Verification token mismatch");
+});
+
+// ---------------------- Webhook signature ------------------------
+function computeSignature(rawBody, secret) {
+  return "sha256=" + crypto.createHmac("sha256", secret).update(rawBody).digest("hex");
+}
+
+function isValidSignature(rawBody, header, secret) {
+  if (!rawBody || !header || !secret) return false;
+  const expected = Buffer.from(computeSignature(rawBody, secret));
+  const received = Buffer.from(String(header));
+  // timingSafeEqual throws on length mismatch, so check that first
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+function verifyWebhookSignature(req, res, next) {
+  if (!META_APP_SECRET) return next();
+  const header = req.get('x-hub-signature-256');
+  if (!header) {
+    metrics.signature_missing++;
+    console.warn("Webhook rejected: missing X-Hub-Signature-256", { ip: req.ip });
+    return res.sendStatus(401);
+  }
+  if (!isValidSignature(req.rawBody, header, META_APP_SECRET)) {
+    metrics.signature_invalid++;
+    console.warn("Webhook rejected: invalid X-Hub-Signature-256", { ip: req.ip });
+    return res.sendStatus(401);
+  }
+  return next();
+}
+
+// ---------------------- Webhook POST ------------------------
+app.post(['/', '/webhook'], verifyWebhookSignature, (req, res) => {
+  metrics.webhook_received++;
+  res.sendStatus(200); // immediate 200
+  processWebhookSafely(req.body).catch(err => console.error("Async processing error:", err));
+});
+
+// ---------------------- Webhook normalizer ------------------------
+// Flattens every entry/change of a delivery into typed events:
+//   { kind: "message" | "status" | "call" | "error", field, waba_id, phone_number_id,
+//     display_phone_number, wa_id, contact_name, data }
+// `data` is the untouched Meta object (message, status, call or error).
+function normalizeWebhook(body) {
+  const events = [];
+  const entries = Array.isArray(body?.entry) ? body.entry : [];
+  for (const entry of entries) {
+    const changes = Array.isArray(entry?.changes) ? entry.changes : [];
+    for (const change of changes) {
+      const value = change?.value || {};
+      const base = {
+        field: change?.field || null,
+        waba_id: entry?.id || null,
+        phone_number_id: value.metadata?.phone_number_id || null,
+        display_phone_number: value.metadata?.display_phone_number || null
+      };
+      const contacts = Array.isArray(value.contacts) ? value.contacts : [];
+      const contactName = waId => (contacts.find(c => c.wa_id === waId) || (contacts.length === 1 ? contacts[0] : null))?.profile?.name || null;
+
+      for (const msg of value.messages || []) {
+        events.push({ ...base, kind: "message", wa_id: msg.from || null, contact_name: contactName(msg.from), data: msg });
+      }
+      for (const status of value.statuses || []) {
+        events.push({ ...base, kind: "status", wa_id: status.recipient_id || null, contact_name: contactName(status.recipient_id), data: status });
+      }
+      for (const call of value.calls || []) {
+        const waId = call.from || call.to || null;
+        events.push({ ...base, kind: "call", wa_id: waId, contact_name: contactName(waId), data: call });
+      }
+      for (const error of value.errors || []) {
+        events.push({ ...base, kind: "error", wa_id: null, contact_name: null, data: error });
+      }
+    }
+  }
+  return events;
+}
+
+// ---------------------- HTTP action nodes ------------------------
+const HTTP_METHODS = ["GET", "POST", "PUT", "PATCH", "DELETE"];
+
+// "Authorization: Bearer {{secret.BACKEND_TOKEN}} | X-Source: whatsapp" -> { Authorization: ..., X-Source: ... }; null if malformed
+function parseHttpHeaders(spec) {
+  const headers = {};
+  for (const line of (spec || "").split(/\s*[|\n]\s*/).filter(Boolean)) {
+    const i = line.indexOf(":");
+    if (i <= 0) return null;
+    headers[line.slice(0, i).trim()] = line.slice(i + 1).trim();
+  }
+  return headers;
+}
+
+// "order_id=data.id | status=$status" -> [["order_id", "data.id"], ["status", "$status"]]; null if malformed
+function parseResponseMap(spec) {
+  const pairs = (spec || "").split(/\s*[|\n]\s*/).filter(Boolean).map(p => p.split("=").map(s => s.trim()));
+  return pairs.every(p => p.length === 2 && /^\w+$/.test(p[0]) && p[1]) ? pairs : null;
+}
+
+function getJsonPath(obj, path) {
+  return path.split(".").reduce((v, key) => (v === undefined || v === null ? undefined : v[key]), obj);
+}
+
+// Secrets come from FLOW_SECRET_<NAME> env vars so they never live in the sheet; only url and headers may use them
+function fillSecrets(text) {
+  return (text || "").replace(/\{\{\s*secret\.(\w+)\s*\}\}/g, (_, name) => process.env[`FLOW_SECRET_${name}`] || "");
+}
+
+// Without an http_body template the whole conversation state is posted
+function buildHttpPayload(node, ctx) {
+  const vars = ctx.session.vars || {};
+  if (!node.http.body) return { phone: ctx.phone, name: ctx.profile.name || null, language: ctx.profile.language || DEFAULT_LOCALE, node_id: node.node_id, variables: vars };
+  // Values are JSON-escaped so "{{answer}}" stays a valid string whatever the user typed
+  return JSON.parse(interpolate(node.http.body, vars, ctx.profile, v => JSON.stringify(v).slice(1, -1)));
+}
+
+// Returns true when the request succeeded; mapped response fields are stored as session variables
+async function runHttpNode(node, ctx) {
+  const { method, url, headers, response_map, timeout_ms, retries } = node.http;
+  const vars = ctx.session.vars || {};
+  try {
+    const target = interpolate(fillSecrets(url), vars, ctx.profile, encodeURIComponent);
+    const headerValues = Object.fromEntries(Object.entries(parseHttpHeaders(headers) || {}).map(([k, v]) => [k, interpolate(fillSecrets(v), vars, ctx.profile)]));
+    const payload = method === "GET" || method === "DELETE" ? undefined : buildHttpPayload(node, ctx);
+    const { status, json } = await requestWithRetry(target, {
+      method, payload, headers: headerValues, label: `http node ${node.node_id}`, timeoutMs: timeout_ms, retries, metric: "http", strict: false
+    });
+    const mapped = {};
+    for (const [variable, path] of parseResponseMap(response_map) || []) {
+      const value = path === "$status" ? status : getJsonPath(json, path);
+      if (value !== undefined) mapped[variable] = value !== null && typeof value === "object" ? JSON.stringify(value) : value;
+    }
+    ctx.session.vars = { ...vars, ...mapped };
+    return true;
+  } catch (err) {
+    console.error(`HTTP node ${node.node_id} error:`, err?.message || err);
+    return false;
+  }
+}
+
+// ---------------------- Flow interpreter ------------------------
+// Node types that run without waiting for the user: condition, set_variable, delay and http send nothing, auto sends and moves on
+const PASS_THROUGH_TYPES = ["condition", "set_variable", "delay", "auto", "http"];
+
+// "<variable> <op> <value>": ==, !=, >, >=, <, <=, contains, in, not_in (values separated by |), between (lo-hi), exists, empty
+function parseCondition(expr) {
+  const m = (expr || "").match(/^\s*([\w.]+)\s*(==|!=|>=|<=|=|>|<)\s*(.*?)\s*$/) ||
+    (expr || "").match(/^\s*([\w.]+)\s+(contains|not_in|in|between|exists|empty)\b\s*(.*?)\s*$/i);
+  if (!m) return null;
+  const value = m[3].replace(/^(["'])(.*)\1$/, "$2");
+  const op = m[2] === "=" ? "==" : m[2].toLowerCase();
+  if (!value && !["exists", "empty", "==", "!="].includes(op)) return null;
+  if (op === "between" && value.split(/\s*-\s*/).length !== 2) return null;
+  return { left: m[1], op, value };
+}
+
+// Variables plus built-ins: name, phone, language, hour (0-23), time (HH:MM) and weekday (mon..sun) in FLOW_TIMEZONE
+function getConditionContext(ctx, now = new Date()) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat("en-GB", { timeZone: FLOW_TIMEZONE, hour: "2-digit", minute: "2-digit", weekday: "short", hourCycle: "h23" })
+    .formatToParts(now).map(p => [p.type, p.value]));
+  return {
+    name: ctx.profile?.name,
+    ...(ctx.session?.vars || {}),
+    phone: ctx.phone,
+    language: ctx.profile?.language || DEFAULT_LOCALE,
+    hour: Number(parts.hour),
+    time: `${parts.hour}:${parts.minute}`,
+    weekday: parts.weekday.toLowerCase().slice(0, 3)
+  };
+}
+
+function compareValues(a, b) {
+  const na = Number(a), nb = Number(b);
+  if (a !== "" && b !== "" && !isNaN(na) && !isNaN(nb)) return na - nb;
+  return String(a).toLowerCase().localeCompare(String(b).toLowerCase());
+}
+
+function evaluateSingleCondition(expr, vars) {
+  const cond = parseCondition(expr);
+  if (!cond) return false;
+  const raw = vars[cond.left];
+  const actual = raw === undefined || raw === null ? "" : String(raw);
+  const list = cond.value.split(/\s*[|,]\s*/).map(v => v.toLowerCase());
+  switch (cond.op) {
+    case "exists": return actual !== "";
+    case "empty": return actual === "";
+    case "==": return compareValues(actual, cond.value) === 0;
+    case "!=": return compareValues(actual, cond.value) !== 0;
+    case ">": return actual !== "" && compareValues(actual, cond.value) > 0;
+    case ">=": return actual !== "" && compareValues(actual, cond.value) >= 0;
+    case "<": return actual !== "" && compareValues(actual, cond.value) < 0;
+    case "<=": return actual !== "" && compareValues(actual, cond.value) <= 0;
+    case "contains": return actual.toLowerCase().includes(cond.value.toLowerCase());
+    case "in": return list.includes(actual.toLowerCase());
+    case "not_in": return !list.includes(actual.toLowerCase());
+    case "between": {
+      // Ranges may wrap around midnight, e.g. time between 22:00-06:00
+      const [lo, hi] = cond.value.split(/\s*-\s*/);
+      if (actual === "") return false;
+      return compareValues(lo, hi) <= 0
+        ? compareValues(actual, lo) >= 0 && compareValues(actual, hi) <= 0
+        : compareValues(actual, lo) >= 0 || compareValues(actual, hi) <= 0;
+    }
+    default: return false;
+  }
+}
+
+// Splits on " and " / " or " outside quoted values, so city == "Delhi and NCR" stays one clause.
+// A quote only opens at the start of a value (after whitespace or an operator), so O'Brien is plain text.
+function splitCondition(expr, keyword) {
+  const parts = [];
+  const separator = new RegExp(`^\\s+${keyword}\\s+`, "i");
+  let quote = null, start = 0;
+  for (let i = 0; i < expr.length; i++) {
+    const ch = expr[i];
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if ((ch === '"' || ch === "'") && (i === 0 || /[\s=<>!]/.test(expr[i - 1]))) {
+      quote = ch;
+    } else if (/\s/.test(ch)) {
+      const m = expr.slice(i).match(separator);
+      if (m) {
+        parts.push(expr.slice(start, i));
+        start = i + m[0].length;
+        i = start - 1;
+      }
+    }
+  }
+  parts.push(expr.slice(start));
+  return parts;
+}
+
+// Clauses combine with "and" / "or" ("and" binds tighter)
+function evaluateCondition(expr, vars) {
+  return splitCondition(expr || "", "or").some(clause => splitCondition(clause, "and").every(c => evaluateSingleCondition(c, vars)));
+}
+
+function getFallbackNode(flow = getChatFlow()) {
+  const text = getFlowConfig().fallback_text;
+  return flow.find(n => n.type === 'fallback') || (text ? { ...FALLBACK_NODE, text } : FALLBACK_NODE);
+}
+
+// Picks the node an inbound message leads to: a flow node, or an unsaved reply ({ text }) from the AI
+async function routeInbound(ctx) {
+  const { input, session, profile, history, flow, currentNode } = ctx;
+  const { text, ctaId } = input;
+  const awaiting = !session.expired && (currentNode?.type || "").startsWith("await_");
+
+  // Node waiting for this message type (await_image etc.) moves on to its next node
+  if (awaiting && nodeAcceptsInput(currentNode, input)) {
+    session.last_input = { node_id: currentNode.node_id, type: input.type, media: input.media, location: input.location, contacts: input.contacts, at: Date.now() };
+    const next = getNodeById(currentNode.next_id) || getNodeById(currentNode.ctas?.[0]?.next_id);
+    if (next) return next;
+  }
+
+  // CTA id / typed CTA title on the node the user is currently on
+  const local = getCtaOnNode(currentNode, ctaId, text);
+  if (local) {
+    // language_select nodes use locale codes ("en", "hi", ...) as CTA ids
+    if (currentNode.type === "language_select" && SUPPORTED_LOCALES.includes(local.cta.id.toLowerCase())) {
+      Object.assign(profile, { language: local.cta.id.toLowerCase(), language_source: "selected" });
+    }
+    return getNodeById(local.next_id) || local.node;
+  }
+
+  // Input node: validate and store the answer, or re-prompt with the node's error text
+  if (!session.expired && currentNode?.type === "input" && !ctaId) {
+    const result = validateInput(currentNode, text);
+    if (!result.ok) {
+      const errorText = localizeNode(currentNode, profile.language).error_text || INPUT_ERRORS[currentNode.input_type] || INPUT_ERRORS.text;
+      return { ...currentNode, text: errorText, ctas: [], media_url: null, i18n: {} };
+    }
+    session.vars = { ...(session.vars || {}), [currentNode.variable]: result.value };
+    const next = getNodeById(currentNode.next_id);
+    if (next) return next;
+  }
+
+  // CTA id anywhere in the flow (stale buttons are ignored once the session expired)
+  if (ctaId && !session.expired) {
+    const result = getNodeByCtaId(ctaId);
+    if (result) return getNodeById(result.next_id) || result.node;
+  }
+
+  // Exact/fuzzy keyword match
+  const matched = text && getNodeByExactOrFuzzy(text);
+  if (matched) return matched;
+
+  // Timed-out session restarts from the start node
+  if (session.expired) return currentNode || getStartNode();
+
+  // Entry keyword / ad referral that no node handles starts the flow
+  if (ctx.entered) return getStartNode();
+
+  // Anything else while a node is waiting for input re-prompts that node
+  if (awaiting) return currentNode;
+
+  // AI intent classification routes back into the flow when it is confident enough
+  if (text && AI_MODE === "classify") {
+    const intent = await classifyIntent(text, { history, node: currentNode });
+    if (intent?.node_id && intent.confidence >= AI_INTENT_THRESHOLD && getNodeById(intent.node_id)) {
+      console.log("AI intent match:", intent);
+      return getNodeById(intent.node_id);
+    }
+  }
+
+  // AI fallback (free text) when no node fits
+  if (text) {
+    const aiText = await getAIResponse(text, { history, node: currentNode, language: profile.language });
+    if (aiText) return { text: aiText, ctas: [], media_url: null };
+  }
+
+  return getFallbackNode(flow);
+}
+
+async function sendNode(node, ctx) {
+  const rendered = renderNode(localizeNode(node, ctx.profile.language), ctx.session.vars, ctx.profile);
+  if (!rendered.text && !rendered.media_url) return;
+  const media = rendered.media_url ? { url: rendered.media_url, type: rendered.media_type } : null;
+  await sendWhatsAppMessage(ctx.phone, rendered.text, rendered.ctas || [], media, {
+    ...ctx.sendOpts,
+    nodeId: rendered.node_id || null,
+    list: { header: rendered.list_header, button: rendered.list_button, section: rendered.list_section }
+  });
+  appendHistory(ctx.session, "model", rendered.text);
+  ctx.session.last_sent_node_id = rendered.node_id || null;
+}
+
+// Runs one node; returns the node to continue with, or null to wait for the user's next message
+async function executeNode(node, ctx) {
+  const { session, profile } = ctx;
+  switch (node.type) {
+    case "condition": {
+      const holds = evaluateCondition(node.condition, getConditionContext(ctx));
+      const next = getNodeById(holds ? node.next_id : node.else_next_id);
+      if (!next) console.warn(`Condition node ${node.node_id} has no ${holds ? "next_id" : "else_next_id"}; sending fallback`);
+      return next || getFallbackNode(ctx.flow);
+    }
+    case "set_variable":
+      session.vars = { ...(session.vars || {}), [node.variable]: interpolate(node.value, session.vars, profile) };
+      return getNodeById(node.next_id);
+    case "http": {
+      const ok = await runHttpNode(node, ctx);
+      if (ok) return getNodeById(node.next_id);
+      return getNodeById(node.on_error_next_id) || getFallbackNode(ctx.flow);
+    }
+    case "delay":
+      await sleep(Math.min(Math.max(node.delay_seconds || 0, 0), FLOW_MAX_DELAY_SECONDS) * 1000);
+      return getNodeById(node.next_id);
+    case "auto":
+      await sendNode(node, ctx);
+      session.node_id = node.node_id;
+      return getNodeById(node.next_id);
+    case "end":
+      // The conversation is over: the next message starts from keywords / the start node again
+      await sendNode(node, ctx);
+      session.node_id = null;
+      return null;
+    default:
+      await sendNode(node, ctx);
+      // AI replies have no node_id: the user stays on the current node
+      if (node.node_id) session.node_id = node.node_id;
+      return null;
+  }
+}
+
+async function runFlow(node, ctx) {
+  for (let hops = 0; node; hops++) {
+    if (hops >= FLOW_MAX_HOPS) {
+      metrics.flow_hop_limit++;
+      console.error(`Flow hop limit (${FLOW_MAX_HOPS}) reached for ${ctx.phone} at node ${node.node_id}`);
+      return;
+    }
+    node = await executeNode(node, ctx);
+  }
+}
+
+// ---------------------- Core webhook processing ------------------------
+// Messages from one user are handled one at a time across webhook deliveries, so each turn starts from the
+// session the previous one saved (a slow send or a delay node would otherwise let the next one run on a stale node)
+const conversationQueues = new Map();
+
+async function processWebhookSafely(body) {
+  try {
+    const events = normalizeWebhook(body);
+    if (events.length === 0) return;
+
+    // Events for one user stay in order; different users run side by side, so a send that is backing off
+    // before a retry only holds up its own conversation, not the rest of the delivery
+    const conversations = new Map();
+    for (const event of events) {
+      const key = `${event.phone_number_id}:${event.wa_id}`;
+      conversations.set(key, [...(conversations.get(key) || []), event]);
+    }
+    await Promise.all([...conversations.values()].map(async conversation => {
+      for (const event of conversation) {
+        try {
+          if (event.kind === "message") await chainByKey(conversationQueues, event.wa_id, () => handleMessageEvent(event));
+          else if (event.kind === "status") await withFlow(selectFlow({ phoneNumberId: event.phone_number_id }).name, () => handleStatusEvent(event));
+          else if (event.kind === "call") console.log("Call event:", event.data?.id, event.data?.event);
+          else if (event.kind === "error") console.error("Webhook error event:", event.phone_number_id, event.data);
+        } catch (err) {
+          console.error(`Event processing error (${event.kind}):`, err);
+        }
+      }
+    }));
+  } catch (err) {
+    console.error("processWebhookSafely top-level error:", err);
+  }
+}
+
+async function handleMessageEvent(event) {
+  const msg = event.data;
+  const sendOpts = { phoneNumberId: event.phone_number_id };
+  try {
+    if (!(await claimMessage(msg.id))) {
+      metrics.messages_duplicate++;
+      console.log("Skipping duplicate message:", msg.id);
+      return;
+    }
+    metrics.messages_processed++;
+
+    const phone = msg.from;
+    const input = parseInboundMessage(msg);
+
+    // Reactions are acknowledgements, not turns in the conversation
+    if (input.type === "reaction") {
+      console.log("Reaction received:", phone, input.reaction);
+      return;
+    }
+    if (input.media) input.media.url = await getMediaUrl(input.media.id);
+
+    const session = await loadSession(phone);
+    const selected = selectFlow({ phoneNumberId: event.phone_number_id, text: input.text, referral: msg.referral, current: session.flow });
+    // Node ids only mean something inside their flow; entry keywords and referrals restart the flow
+    if (selected.entered || (session.flow && session.flow !== selected.name)) session.node_id = null;
+    session.flow = selected.name;
+
+    const pinned = await withFlow(selected.name, async () => {
+      if (!flowCache.get(flowKey("chatFlow"))) await loadFlowFromGoogleSheet();
+      return pinFlowVersion(session);
+    });
+
+    await withFlow(selected.name, async () => {
+      if (session.expired && !selected.entered) session.node_id = getStartNode().node_id;
+      const history = Array.isArray(session.history) ? [...session.history] : [];
+      session.last_inbound_at = Date.now();
+      appendHistory(session, "user", input.text || (input.type !== "text" ? `[${input.type}]` : ""));
+      const profile = session.profile = { ...(session.profile || {}) };
+      if (event.contact_name) profile.name = event.contact_name;
+      // A language picked on a language_select node sticks; otherwise follow the script the user writes in
+      const detected = profile.language_source !== "selected" && detectLanguage(input.text);
+      if (detected) Object.assign(profile, { language: detected, language_source: "detected" });
+
+      const ctx = { phone, input, session, profile, history, flow: getChatFlow(), sendOpts, entered: selected.entered, currentNode: getNodeById(session.node_id) };
+      await runFlow(await routeInbound(ctx), ctx);
+      await saveSession(phone, session);
+    }, pinned);
+  } catch (innerErr) {
+    console.error("Message processing error:", innerErr);
+    try { if (msg?.from) await sendWhatsAppMessage(msg.from, FALLBACK_NODE.text, [], null, sendOpts); } catch {}
+  }
+}
+
+// ---------------------- Admin API ------------------------
+// Everything except /health lives under /admin and needs a token from ADMIN_TOKENS, sent as
+// "Authorization: Bearer <token>" or "X-API-Key: <token>". viewer tokens can read; operator tokens
+// can also run the POST mutations, each of which is written to the audit log.
+const ADMIN_ROLES = ["viewer", "operator"];
+const ADMIN_MUTATIONS = ['/reload-flow', '/flow/publish', '/flow/rollback', '/templates/send', '/dead-letters/:id/replay', '/dead-letters/:id/discard'];
+
+const hashToken = token => crypto.createHash("sha256").update(token).digest();
+
+// "name:role:token" entries; the name is what the audit log records
+function parseAdminTokens(spec) {
+  return (spec || "").split(",").map(e => e.trim()).filter(Boolean).map(entry => {
+    const [name, role, ...rest] = entry.split(":");
+    const token = rest.join(":");
+    if (!name || !ADMIN_ROLES.includes(role) || !token) {
+      console.error(`ADMIN_TOKENS: skipping malformed entry for "${name || "?"}" (expected name:role:token)`);
+      return null;
+    }
+    return { name, role, digest: hashToken(token) };
+  }).filter(Boolean);
+}
+const adminTokens = parseAdminTokens(ADMIN_TOKENS);
+
+function findAdminToken(token) {
+  if (!token) return null;
+  const digest = hashToken(token);
+  return adminTokens.find(t => crypto.timingSafeEqual(t.digest, digest)) || null;
+}
+
+function createMemoryAuditStore() {
+  const entries = [];
+  const MAX_ENTRIES = 1000;
+  return {
+    async record(entry) {
+      entries.unshift(entry);
+      if (entries.length > MAX_ENTRIES) entries.length = MAX_ENTRIES;
+    },
+    async list(limit = 50) { return entries.slice(0, limit); }
+  };
+}
+
+function createFirestoreAuditStore(collection = process.env.AUDIT_COLLECTION || "adminAudit") {
+  const col = () => getFirestore().collection(collection);
+  return {
+    async record(entry) { await col().add(entry); },
+    async list(limit = 50) {
+      const snap = await col().orderBy('at', 'desc').limit(limit).get();
+      return snap.docs.map(d => d.data());
+    }
+  };
+}
+
+const auditStore = AUDIT_STORE === "firestore" ? createFirestoreAuditStore() : createMemoryAuditStore();
+
+// Fixed one-minute windows, per token name (or per client IP while unauthenticated, so guessing tokens is limited too)
+const adminRateCache = new NodeCache({ stdTTL: 120, checkperiod: 60 });
+
+function adminGuard(req, res, next) {
+  const bearer = (req.get('authorization') || "").match(/^Bearer\s+(.+)$/i)?.[1];
+  const admin = findAdminToken((bearer || req.get('x-api-key') || "").trim());
+  const minute = Math.floor(Date.now() / 60000);
+  const key = `${admin ? `token:${admin.name}` : `ip:${req.ip}`}:${minute}`;
+  const count = (adminRateCache.get(key) || 0) + 1;
+  adminRateCache.set(key, count);
+  res.set('X-RateLimit-Limit', String(ADMIN_RATE_LIMIT));
+  res.set('X-RateLimit-Remaining', String(Math.max(0, ADMIN_RATE_LIMIT - count)));
+  if (count > ADMIN_RATE_LIMIT) {
+    metrics.admin_rate_limited++;
+    res.set('Retry-After', String(60 - Math.floor(Date.now() / 1000) % 60));
+    return res.status(429).json({ error: "too many requests" });
+  }
+  if (!admin) {
+    metrics.admin_unauthorized++;
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ error: adminTokens.length ? "unauthorized" : "admin API disabled: ADMIN_TOKENS is not set" });
+  }
+  req.admin = { name: admin.name, role: admin.role };
+  next();
+}
+
+const requireRole = role => (req, res, next) => {
+  if (ADMIN_ROLES.indexOf(req.admin?.role) >= ADMIN_ROLES.indexOf(role)) return next();
+  res.status(403).json({ error: `${role} role required` });
+};
+
+// Recorded once the response is sent, so the entry carries the outcome (including 403s for viewers)
+function auditMutation(req, res, next) {
+  res.on('finish', () => {
+    const entry = {
+      at: Date.now(),
+      actor: req.admin?.name || null,
+      role: req.admin?.role || null,
+      method: req.method,
+      path: req.baseUrl + req.path,
+      flow: req.query.flow ? req.query.flow.toString() : null,
+      params: { ...req.query, ...(req.body && typeof req.body === "object" ? req.body : {}) },
+      status: res.statusCode,
+      ip: req.ip || null
+    };
+    console.log(`Admin audit: ${entry.actor} ${entry.method} ${entry.path} -> ${entry.status}`);
+    auditStore.record(entry).catch(err => console.error("Audit log error:", err?.message || err));
+  });
+  next();
+}
+
+const operatorOnly = [auditMutation, requireRole("operator")];
+
+// ?flow=<name> scopes flow endpoints to one named flow (default: the default flow)
+function scopeFlow(req, res, next) {
+  const name = (req.query.flow || DEFAULT_FLOW).toString();
+  if (!flowConfigs.has(name)) return res.status(404).json({ error: `unknown flow "${name}"` });
+  withFlow(name, next);
+}
+
+// raw holds every sheet column of a row; only operators get it, and only with ?raw=1
+function viewNodes(req, nodes) {
+  if (req.admin.role === "operator" && ["1", "true"].includes(String(req.query.raw))) return nodes;
+  return nodes.map(({ raw, ...node }) => node);
+}
+
+app.get('/health', (req, res) => res.json({ ok: true, ts: new Date().toISOString(), metrics }));
+
+const admin = express.Router();
+admin.use(adminGuard);
+// Mutations are POST-only
+admin.get(ADMIN_MUTATIONS, (req, res) => res.set('Allow', 'POST').status(405).json({ error: "use POST" }));
+
+admin.get('/flows', (req, res) => res.json({
+  default: DEFAULT_FLOW,
+  flows: [...flowConfigs.values()].map(c => ({
+    name: c.name,
+    source: c.source,
+    rows: getChatFlow(c.name).length,
+    version: getLiveVersion(c.name),
+    publish_mode: c.publish_mode,
+    refresh_seconds: c.refresh_seconds,
+    phone_number_ids: c.phone_number_ids,
+    entry_keywords: c.entry_keywords,
+    referrals: c.referrals,
+    valid: flowCache.get(flowKey("flowReport", c.name))?.ok ?? null
+  }))
+}));
+admin.get('/flow', scopeFlow, (req, res) => res.json({ name: currentFlowName(), source: getFlowConfig().source, version: getLiveVersion(), flow: viewNodes(req, getChatFlow()), rows: getChatFlow().length }));
+
+// Versions: list, inspect (with diff), publish a loaded version, roll back to an earlier one
+admin.get('/flow/versions', scopeFlow, async (req, res) => {
+  try {
+    const name = currentFlowName();
+    const versions = await flowVersionStore.list(name, Math.min(Number(req.query.limit) || FLOW_VERSION_LIMIT, 100));
+    res.json({
+      flow: name,
+      publish_mode: getFlowConfig().publish_mode,
+      live: getLiveVersion(),
+      loaded: flowCache.get(flowKey("loadedVersion")) || null,
+      versions: versions.map(({ nodes, diff, ...v }) => ({
+        ...v,
+        nodes: nodes.length,
+        diff: { added: diff.added.length, removed: diff.removed.length, changed: diff.changed.length }
+      }))
+    });
+  } catch (err) {
+    console.error("Flow version list error:", err?.message || err);
+    res.status(500).json({ error: "lookup failed" });
+  }
+});
+admin.get('/flow/versions/:version', scopeFlow, async (req, res) => {
+  const record = await getFlowVersion(req.params.version);
+  if (!record) return res.status(404).json({ error: "not found" });
+  res.json({ ...record, nodes: viewNodes(req, record.nodes), live: record.version === getLiveVersion() });
+});
+admin.post('/flow/publish', ...operatorOnly, scopeFlow, async (req, res) => {
+  const version = (req.body?.version || req.query.version || flowCache.get(flowKey("loadedVersion")) || "").toString();
+  const record = await getFlowVersion(version);
+  if (!record) return res.status(404).json({ error: `version "${version}" not found` });
+  if (!record.ok && !(req.body?.force || req.query.force)) return res.status(422).json({ error: `version ${version} has ${record.errors} validation error(s); pass force to publish anyway` });
+  await publishFlowVersion(record);
+  res.json({ published: true, flow: currentFlowName(), version: record.version });
+});
+// Without a version, goes back to the version that was live before the current one
+admin.post('/flow/rollback', ...operatorOnly, scopeFlow, async (req, res) => {
+  const pointer = await flowVersionStore.getLive(currentFlowName()).catch(() => null);
+  const version = (req.body?.version || req.query.version || pointer?.previous || "").toString();
+  if (!version) return res.status(409).json({ error: "no previous version to roll back to" });
+  const record = await getFlowVersion(version);
+  if (!record) return res.status(404).json({ error: `version "${version}" not found` });
+  await publishFlowVersion(record);
+  res.json({ rolled_back: true, flow: currentFlowName(), version: record.version });
+});
+admin.get('/flow/validate', scopeFlow, (req, res) => {
+  const report = flowCache.get(flowKey("flowReport"));
+  if (!report) return res.status(404).json({ error: "no flow loaded from a sheet yet" });
+  res.status(report.ok ? 200 : 422).json(report);
+});
+// Routing trace for a message: normalized text and every node's keyword score
+admin.get('/match', scopeFlow, (req, res) => {
+  const { node, ...trace } = matchKeyword((req.query.text || "").toString());
+  res.json({ ...trace, matched_node_id: node?.node_id || null });
+});
+admin.get('/kb/search', scopeFlow, (req, res) => {
+  const q = (req.query.q || "").toString();
+  const kb = getKnowledgeBase();
+  res.json({ q, entries: kb?.size || 0, results: q ? searchKnowledgeBase(q, { limit: Number(req.query.limit) || KB_TOP_K, minScore: 0 }) : [] });
+});
+// Reloads one flow with ?flow=<name>, otherwise every flow
+admin.post('/reload-flow', ...operatorOnly, async (req, res) => {
+  const names = req.query.flow ? [req.query.flow.toString()] : [...flowConfigs.keys()];
+  const unknown = names.find(n => !flowConfigs.has(n));
+  if (unknown) return res.status(404).json({ error: `unknown flow "${unknown}"` });
+  const results = [];
+  for (const name of names) {
+    const flow = await loadFlowFromGoogleSheet(name);
+    const templates = await loadTemplatesFromGoogleSheet(name);
+    const kb = await loadKnowledgeBaseFromGoogleSheet(name);
+    results.push({ flow: name, rows: flow.length, version: getLiveVersion(name), loaded_version: flowCache.get(flowKey("loadedVersion", name)) || null, templates: templates.length, kb_entries: kb?.size || 0 });
+  }
+  res.json(results.length === 1 ? { reloaded: true, ...results[0] } : { reloaded: true, flows: results });
+});
+
+// Delivery status lookups for support ("did the user get it?")
+admin.get('/messages/:wamid', async (req, res) => {
+  try {
+    const record = await messageStore.get(req.params.wamid);
+    if (!record) return res.status(404).json({ error: "not found" });
+    res.json(record);
+  } catch (err) {
+    console.error("Message lookup error:", err?.message || err);
+    res.status(500).json({ error: "lookup failed" });
+  }
+});
+admin.get('/recipients/:phone/messages', async (req, res) => {
+  try {
+    const limit = Math.min(Number(req.query.limit) || 20, 100);
+    const messages = await messageStore.listByRecipient(req.params.phone, limit);
+    const serviceWindowOpen = await isServiceWindowOpen(req.params.phone);
+    res.json({ to: req.params.phone, service_window_open: serviceWindowOpen, count: messages.length, messages });
+  } catch (err) {
+    console.error("Message history error:", err?.message || err);
+    res.status(500).json({ error: "lookup failed" });
+  }
+});
+
+// Dead letters: messages that exhausted their retries or hit a permanent Graph error (?status=dead|replayed, ?to=)
+admin.get('/dead-letters', async (req, res) => {
+  try {
+    const entries = await deadLetterStore.list({
+      status: req.query.status ? req.query.status.toString() : null,
+      to: req.query.to ? req.query.to.toString() : null,
+      limit: Math.min(Number(req.query.limit) || 50, 500)
+    });
+    res.json({ count: entries.length, entries });
+  } catch (err) {
+    console.error("Dead-letter list error:", err?.message || err);
+    res.status(500).json({ error: "lookup failed" });
+  }
+});
+admin.get('/dead-letters/:id', async (req, res) => {
+  const entry = await deadLetterStore.get(req.params.id).catch(() => null);
+  if (!entry) return res.status(404).json({ error: "not found" });
+  res.json(entry);
+});
+admin.post('/dead-letters/:id/replay', ...operatorOnly, async (req, res) => {
+  const result = await replayDeadLetter(req.params.id);
+  if (!result) return res.status(404).json({ error: "not found" });
+  res.status(result.status === "replayed" ? 200 : 502).json(result);
+});
+admin.post('/dead-letters/:id/discard', ...operatorOnly, async (req, res) => {
+  const removed = await deadLetterStore.remove(req.params.id).catch(() => false);
+  if (!removed) return res.status(404).json({ error: "not found" });
+  res.json({ discarded: true, id: req.params.id });
+});
+
+// Template sends: { to, template, language?, header?, body?, buttons?, phone_number_id? }
+admin.get('/templates', scopeFlow, (req, res) => res.json({ templates: getTemplates(), rows: getTemplates().length }));
+admin.post('/templates/send', ...operatorOnly, scopeFlow, async (req, res) => {
+  const { to, template, language, header, body, buttons, phone_number_id } = req.body || {};
+  if (!to || !template) return res.status(400).json({ error: "to and template are required" });
+  const json = await sendTemplateMessage(to, template, { language, header, body, buttons }, { phoneNumberId: phone_number_id });
+  if (!json) return res.status(503).json({ error: "WhatsApp sending not configured" });
+  res.status(json.error ? 502 : 200).json(json);
+});
+
+admin.get('/audit', requireRole("operator"), async (req, res) => {
+  try {
+    const entries = await auditStore.list(Math.min(Number(req.query.limit) || 50, 500));
+    res.json({ count: entries.length, entries });
+  } catch (err) {
+    console.error("Audit log lookup error:", err?.message || err);
+    res.status(500).json({ error: "lookup failed" });
+  }
+});
+
+app.use('/admin', admin);
+
+// ---------------------- Startup ------------------------
+// Only start the server when run directly, so helpers can be required from tests/scripts
+if (require.main === module) {
+  (async () => {
+    try {
+      console.log("Starting WhatsApp webhook server...");
+      if (!META_APP_SECRET) console.warn("META_APP_SECRET not set; webhook signatures are NOT verified.");
+      if (!adminTokens.length) console.warn("ADMIN_TOKENS not set; the /admin API rejects every request.");
+      await ensurePeriodicLoad();
+      const PORT = process.env.PORT || 8080;
+      app.listen(PORT, () => console.log(`Server started on port ${PORT}`));
+    } catch (err) {
+      console.error("Startup error:", err);
+      process.exit(1);
+    }
+  })();
+}
+
+module.exports = {
+  app,
+  classifyGraphError,
+  classifyIntent,
+  computeSignature,
+  deadLetterStore,
+  evaluateCondition,
+  extractGeminiText,
+  flowVersionStore,
+  getAIResponse,
+  interpolate,
+  isValidSignature,
+  loadFlowFromGoogleSheet,
+  loadKnowledgeBaseFromGoogleSheet,
+  loadTemplatesFromGoogleSheet,
+  matchKeyword,
+  metrics,
+  normalizeText,
+  normalizeWebhook,
+  parseInboundMessage,
+  processWebhookSafely,
+  searchKnowledgeBase,
+  selectFlow,
+  sendTemplateMessage,
+  validateFlow,
+  validateInput
+};
 
 
 
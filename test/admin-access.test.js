@@ -0,0 +1,66 @@
+process.env.WHATSAPP_TOKEN = "test-token";
+process.env.WHATSAPP_PHONE_ID = "106540352242922";
+process.env.ADMIN_TOKENS = "support:viewer:viewer-token,ops:operator:operator-token";
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mockGraph, listen } = require('./helpers.js');
+const graph = mockGraph();
+const { app, sendTemplateMessage } = require('../index.js');
+
+const VIEWER = { Authorization: "Bearer viewer-token" };
+const OPERATOR = { "X-API-Key": "operator-token" };
+
+let server;
+test.before(async () => {
+  server = await listen(app);
+  graph.respond = () => ({ json: { messages: [{ id: "wamid.private" }] } });
+  await sendTemplateMessage("919876543210", "welcome");
+});
+test.after(() => server.close());
+
+const get = (path, headers = {}) => fetch(`${server.url}${path}`, { headers });
+
+// Message lookups expose payloads and phone numbers: admin tokens only, never the public root
+test('message lookups need an admin token', async () => {
+  for (const path of ["/admin/messages/wamid.private", "/admin/recipients/919876543210/messages"]) {
+    assert.equal((await get(path)).status, 401, path);
+    assert.equal((await get(path, { Authorization: "Bearer wrong" })).status, 401, path);
+    assert.equal((await get(path, VIEWER)).status, 200, path);
+  }
+  for (const path of ["/messages/wamid.private", "/recipients/919876543210/messages"]) {
+    assert.equal((await get(path)).status, 404, path);
+  }
+});
+
+test('message lookups return the recorded send to admins', async () => {
+  const history = await (await get("/admin/recipients/919876543210/messages", OPERATOR)).json();
+  assert.equal(history.count, 1);
+  assert.equal(history.messages[0].wamid, "wamid.private");
+});
+
+// Sends from our account to any number: operators only, POST only, audited
+test('template sends need an operator token', async () => {
+  const send = headers => fetch(`${server.url}/admin/templates/send`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify({ to: "919812345678", template: "welcome" })
+  });
+  const sent = () => graph.calls.filter(c => c.body.to === "919812345678").length;
+
+  assert.equal((await send({})).status, 401);
+  assert.equal((await send(VIEWER)).status, 403);
+  assert.equal(sent(), 0);
+  assert.equal((await fetch(`${server.url}/templates/send`, { method: "POST" })).status, 404);
+  assert.equal((await get("/admin/templates/send", OPERATOR)).status, 405);
+
+  const res = await send(OPERATOR);
+  assert.equal(res.status, 200);
+  assert.equal(sent(), 1);
+
+  const audit = await (await get("/admin/audit", OPERATOR)).json();
+  assert.deepEqual(audit.entries.slice(0, 2).map(e => [e.actor, e.path, e.status]), [
+    ["ops", "/admin/templates/send", 200],
+    ["support", "/admin/templates/send", 403]
+  ]);
+});
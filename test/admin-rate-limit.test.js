@@ -0,0 +1,50 @@
+process.env.ADMIN_TOKENS = "ops:operator:operator-token,auditor:operator:auditor-token";
+process.env.ADMIN_RATE_LIMIT = "3";
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { listen } = require('./helpers.js');
+const { app, metrics } = require('../index.js');
+
+let server;
+test.before(async () => {
+  // Rate limits use one-minute windows: keep every test inside the same one
+  test.mock.timers.enable({ apis: ['Date'], now: Date.UTC(2024, 5, 20, 10, 0, 5) });
+  server = await listen(app);
+});
+test.after(() => {
+  test.mock.timers.reset();
+  return server.close();
+});
+
+// Behind Cloud Run's front end every request comes from the proxy; the client is the last X-Forwarded-For entry
+const fromClient = (ip, headers = {}) => fetch(`${server.url}/admin/flows`, { headers: { "X-Forwarded-For": ip, ...headers } });
+
+test('unauthenticated requests are limited per client IP, not per proxy', async () => {
+  for (let i = 0; i < 3; i++) assert.equal((await fromClient("203.0.113.10", { Authorization: "Bearer guess" + i })).status, 401);
+  const limited = await fromClient("203.0.113.10", { Authorization: "Bearer guess" });
+  assert.equal(limited.status, 429);
+  assert.ok(Number(limited.headers.get("retry-after")) > 0);
+  // Another client behind the same proxy still gets through to authentication
+  assert.equal((await fromClient("198.51.100.7")).status, 401);
+  assert.equal(metrics.admin_rate_limited, 1);
+});
+
+test('a spoofed X-Forwarded-For entry does not escape the limit', async () => {
+  // The front end appends the real client address; earlier entries come from the client itself
+  for (let i = 0; i < 3; i++) await fromClient(`10.0.0.${i}, 192.0.2.50`);
+  assert.equal((await fromClient("10.9.9.9, 192.0.2.50")).status, 429);
+});
+
+test('authenticated requests are limited per token', async () => {
+  const ops = ip => fromClient(ip, { "X-API-Key": "operator-token" });
+  for (let i = 0; i < 3; i++) assert.equal((await ops(`192.0.2.${100 + i}`)).status, 200);
+  assert.equal((await ops("192.0.2.200")).status, 429);
+});
+
+test('the audit log records the client IP', async () => {
+  const headers = { "X-API-Key": "auditor-token", "X-Forwarded-For": "203.0.113.99" };
+  await fetch(`${server.url}/admin/flow/rollback`, { method: "POST", headers });
+  const audit = await (await fetch(`${server.url}/admin/audit`, { headers })).json();
+  assert.deepEqual(audit.entries.map(e => [e.actor, e.ip]), [["auditor", "203.0.113.99"]]);
+});
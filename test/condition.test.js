@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { evaluateCondition, validateFlow } = require('../index.js');
+
+test('conditions compare variables with the supported operators', () => {
+  const vars = { age: "21", city: "Pune", plan: "gold", hour: 23 };
+  assert.equal(evaluateCondition("age >= 18", vars), true);
+  assert.equal(evaluateCondition("city in Pune, Mumbai", vars), true);
+  assert.equal(evaluateCondition("plan not_in silver, bronze", vars), true);
+  assert.equal(evaluateCondition("hour between 22-6", vars), true);
+  assert.equal(evaluateCondition("email exists", vars), false);
+});
+
+test('"and" binds tighter than "or"', () => {
+  const vars = { a: "1", b: "2", c: "3" };
+  assert.equal(evaluateCondition("a == 9 and b == 2 or c == 3", vars), true);
+  assert.equal(evaluateCondition("a == 1 and b == 9 or c == 9", vars), false);
+});
+
+test('and / or inside a quoted value are part of the value', () => {
+  assert.equal(evaluateCondition('city == "Delhi and NCR"', { city: "Delhi and NCR" }), true);
+  assert.equal(evaluateCondition('city == "Delhi and NCR"', { city: "Delhi" }), false);
+  assert.equal(evaluateCondition("answer == 'yes or no' and step == 2", { answer: "yes or no", step: "2" }), true);
+  assert.equal(evaluateCondition('city == "Delhi or Noida" or city == Pune', { city: "Pune" }), true);
+});
+
+test('an apostrophe inside an unquoted value does not open a quote', () => {
+  assert.equal(evaluateCondition("name == O'Brien and step == 2", { name: "O'Brien", step: "2" }), true);
+});
+
+test('the validator checks every clause of a condition', () => {
+  const flow = [
+    { node_id: "start", type: "start", text: "Hi", ctas: [] },
+    { node_id: "check", type: "condition", condition: 'city == "Delhi and NCR" and age >= 18', next_id: "start", else_next_id: "start", ctas: [] },
+    { node_id: "bad", type: "condition", condition: "age >= 18 and oops", next_id: "start", else_next_id: "start", ctas: [] }
+  ];
+  const invalid = validateFlow(flow).errors.filter(e => e.code === "invalid_condition").map(e => e.node_id);
+  assert.deepEqual(invalid, ["bad"]);
+});
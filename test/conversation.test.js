@@ -0,0 +1,46 @@
+process.env.WHATSAPP_TOKEN = "test-token";
+process.env.WHATSAPP_PHONE_ID = "106540352242922";
+process.env.FLOW_FILE = `${__dirname}/fixtures/conversation-flow.csv`;
+process.env.SESSION_TIMEOUT_SECONDS = "60";
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mockGraph, listen, deliver, deliverText, deliverButton } = require('./helpers.js');
+const graph = mockGraph();
+const { app, loadFlowFromGoogleSheet } = require('../index.js');
+
+test.before(() => loadFlowFromGoogleSheet());
+
+test('a CTA id shared by two nodes resolves against the node the user is on', async () => {
+  await deliverText("919800000401", "hi");
+  assert.deepEqual(await deliverText("919800000401", "drinks"), ["Shall we order a drink?"]);
+  assert.deepEqual(await deliverButton("919800000401", "yes", "Yes"), ["Your drink is on its way"]);
+  assert.deepEqual(await deliverText("919800000401", "food menu"), ["Shall we order food?"]);
+  assert.deepEqual(await deliverButton("919800000401", "yes", "Yes"), ["Food is on its way"]);
+});
+
+test('a session that timed out starts again from the start node', async t => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+  assert.deepEqual(await deliverText("919800000402", "register"), ["What is your name?"]);
+  t.mock.timers.tick(61_000);
+  assert.deepEqual(await deliverText("919800000402", "Ravi"), ["What would you like?"]);
+});
+
+test('messages from one user are handled one at a time, across deliveries', async () => {
+  await Promise.all([deliverText("919800000403", "register"), deliverText("919800000403", "Ravi")]);
+  assert.deepEqual(graph.calls.map(c => c.body.text?.body), ["What is your name?", "Thanks Ravi"]);
+});
+
+test('a message Meta delivers twice is answered once', async () => {
+  const server = await listen(app);
+  const metrics = async () => (await (await fetch(`${server.url}/health`)).json()).metrics;
+  try {
+    const before = await metrics();
+    const message = { id: "wamid.retried1", type: "text", text: { body: "hi" } };
+    assert.deepEqual(await deliver("919800000404", message), ["What would you like?"]);
+    assert.deepEqual(await deliver("919800000404", message), []);
+    assert.equal((await metrics()).messages_duplicate, before.messages_duplicate + 1);
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,58 @@
+const path = require('path');
+const fixtures = path.join(__dirname, 'fixtures', 'flows');
+process.env.FLOWS = JSON.stringify([
+  { name: "csv", source: "file", file: path.join(fixtures, "flow.csv"), default: true },
+  { name: "json", source: "file", file: path.join(fixtures, "flow.json") },
+  { name: "yaml", source: "file", file: path.join(fixtures, "flow.yaml") },
+  { name: "bundle", source: "file", file: path.join(fixtures, "bundle"), refresh_seconds: 60 }
+]);
+process.env.ADMIN_TOKENS = "ops:viewer:viewer-token";
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { listen } = require('./helpers.js');
+const { app, loadFlowFromGoogleSheet, loadKnowledgeBaseFromGoogleSheet, loadTemplatesFromGoogleSheet, validateFlow } = require('../index.js');
+
+// raw is the source row as read: CSV rows carry every column, JSON and YAML only the keys they set
+const load = async name => (await loadFlowFromGoogleSheet(name)).map(({ raw, ...node }) => node);
+
+test('CSV, JSON and YAML fixtures load as the same nodes', async () => {
+  const csv = await load("csv");
+  assert.equal(csv.length, 7);
+  assert.deepEqual(await load("json"), csv);
+  assert.deepEqual(await load("yaml"), csv);
+});
+
+test('the fixture flow is valid and keeps multi-line text, keyword lists and JSON bodies', async () => {
+  const flow = await loadFlowFromGoogleSheet("yaml");
+  assert.deepEqual(validateFlow(flow).errors, []);
+  const start = flow.find(n => n.node_id === "start");
+  assert.equal(start.text, "Welcome to Avasar, {{name | friend}}!\nPick an option below.");
+  assert.deepEqual(start.keywords, ["hi", "hello", "namaste"]);
+  assert.deepEqual(start.ctas.map(c => c.next_id), ["ask_city", "volunteer"]);
+  assert.deepEqual(JSON.parse(flow.find(n => n.node_id === "save").http.body), { city: "{{city}}", source: "whatsapp" });
+});
+
+test('a directory holds the flow, templates and knowledge base', async () => {
+  assert.deepEqual((await loadFlowFromGoogleSheet("bundle")).map(n => n.node_id), ["start"]);
+  const [template] = await loadTemplatesFromGoogleSheet("bundle");
+  assert.equal(template.name, "avasar_welcome");
+  assert.deepEqual(template.body_params, ["friend", "Avasar"]);
+  const kb = await loadKnowledgeBaseFromGoogleSheet("bundle");
+  assert.equal(kb.size, 1);
+  assert.deepEqual(kb.docs[0].entry.tags, ["register", "signup"]);
+});
+
+test('templates stay loaded past refresh_seconds until the next reload', async t => {
+  await loadTemplatesFromGoogleSheet("bundle");
+  t.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+  // The periodic reload runs every max(30, refresh_seconds) seconds, so it can come after the refresh interval
+  t.mock.timers.tick(90_000);
+  const server = await listen(app);
+  try {
+    const res = await fetch(`${server.url}/admin/templates?flow=bundle`, { headers: { "X-API-Key": "viewer-token" } });
+    assert.deepEqual((await res.json()).templates.map(tpl => tpl.name), ["avasar_welcome"]);
+  } finally {
+    await server.close();
+  }
+});
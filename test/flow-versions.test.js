@@ -0,0 +1,74 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'flow-versions-'));
+const file = path.join(dir, 'flow.csv');
+process.env.FLOW_FILE = file;
+process.env.ADMIN_TOKENS = "ops:operator:operator-token";
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { listen } = require('./helpers.js');
+const { app, flowVersionStore, loadFlowFromGoogleSheet } = require('../index.js');
+
+const writeFlow = text => fs.writeFileSync(file, `node_id,type,text,keyword\nstart,start,${text},hi\n`);
+
+let server;
+test.before(async () => { server = await listen(app); });
+test.after(async () => {
+  await server.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const admin = (method, url, body) => fetch(`${server.url}/admin${url}`, {
+  method,
+  headers: { "X-API-Key": "operator-token", "Content-Type": "application/json" },
+  body: body && JSON.stringify(body)
+}).then(async res => ({ status: res.status, json: await res.json() }));
+
+test('each distinct load is a version, diffed against the one before', async () => {
+  writeFlow("Menu v1");
+  await loadFlowFromGoogleSheet();
+  writeFlow("Menu v2");
+  await loadFlowFromGoogleSheet();
+  const { json } = await admin("GET", "/flow/versions");
+  assert.equal(json.versions.length, 2);
+  assert.equal(json.live, json.versions[0].version);
+  assert.deepEqual(json.versions[0].diff, { added: 0, removed: 0, changed: 1 });
+  assert.equal(json.versions[0].previous_version, json.versions[1].version);
+});
+
+test('a version is saved even when looking up the previous one fails', async () => {
+  const list = flowVersionStore.list;
+  flowVersionStore.list = async () => { throw new Error("FAILED_PRECONDITION: The query requires an index"); };
+  try {
+    writeFlow("Menu v3");
+    await loadFlowFromGoogleSheet();
+  } finally {
+    flowVersionStore.list = list;
+  }
+  const { json } = await admin("GET", "/flow/versions");
+  const v3 = json.versions[0];
+  assert.equal(json.versions.length, 3);
+  assert.equal(v3.previous_version, null);
+  assert.deepEqual(v3.diff, { added: 1, removed: 0, changed: 0 });
+
+  const rollback = await admin("POST", "/flow/rollback", { version: json.versions[2].version });
+  assert.equal(rollback.status, 200);
+  const publish = await admin("POST", "/flow/publish", { version: v3.version });
+  assert.equal(publish.status, 200);
+  assert.equal(publish.json.version, v3.version);
+});
+
+test('a version published by another instance goes live here at the next load', async () => {
+  const { json } = await admin("GET", "/flow/versions");
+  const [current, , first] = json.versions;
+  assert.equal(json.live, current.version);
+  await flowVersionStore.setLive("default", { version: first.version, previous: current.version, published_at: Date.now() });
+  await loadFlowFromGoogleSheet();
+  const after = await admin("GET", "/flow/versions");
+  assert.equal(after.json.live, first.version);
+  assert.equal(after.json.loaded, current.version);
+  // The sheet did not change, so the auto-publish does not undo the other instance's rollback
+  assert.equal((await flowVersionStore.getLive("default")).version, first.version);
+});
@@ -0,0 +1,104 @@
+process.env.AI_PROVIDER = "gemini";
+process.env.GEMINI_API_KEY = "test-gemini-key";
+process.env.GEMINI_MODEL = "gemini-test";
+process.env.AI_TIMEOUT_MS = "200";
+process.env.AI_MAX_RETRIES = "2";
+process.env.FLOW_FILE = `${__dirname}/fixtures/grounding-flow.csv`;
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { stubServer } = require('./helpers.js');
+
+const reply = (parts, finishReason = "STOP", usageMetadata) => ({
+  json: { candidates: [{ content: { role: "model", parts: parts.map(text => ({ text })) }, finishReason }], usageMetadata }
+});
+
+// Each request to the stub gets the next queued response, then a plain answer
+let queue = [];
+let gemini, bot;
+test.before(async () => {
+  gemini = await stubServer([() => queue.shift() || reply(["OK."])]);
+  process.env.GEMINI_API_BASE = gemini.url;
+  bot = require('../index.js');
+  await bot.loadFlowFromGoogleSheet();
+});
+test.after(() => gemini.close());
+test.beforeEach(() => { queue = []; gemini.requests.length = 0; });
+
+const ask = message => bot.getAIResponse(message);
+const delta = (before, key) => bot.metrics[key] - before[key];
+
+test('the answer is read from candidates[0].content.parts', async () => {
+  queue = [reply(["Avasar is a ", "citizen-driven platform."])];
+  assert.equal(await ask("what is avasar"), "Avasar is a citizen-driven platform.");
+  const [request] = gemini.requests;
+  assert.equal(request.url, "/models/gemini-test:generateContent");
+  assert.equal(request.headers["x-goog-api-key"], "test-gemini-key");
+  assert.equal(request.body.contents.at(-1).parts[0].text, "what is avasar");
+  assert.ok(request.body.systemInstruction.parts[0].text.length > 0);
+});
+
+test('usageMetadata token counts are added to the metrics', async () => {
+  const before = { ...bot.metrics };
+  queue = [reply(["Hello."], "STOP", { promptTokenCount: 42, candidatesTokenCount: 7, totalTokenCount: 49 })];
+  await ask("hello");
+  assert.equal(delta(before, "ai_prompt_tokens"), 42);
+  assert.equal(delta(before, "ai_output_tokens"), 7);
+});
+
+test('429 and 5xx responses are retried', async () => {
+  const before = { ...bot.metrics };
+  queue = [{ status: 429, json: { error: { code: 429, status: "RESOURCE_EXHAUSTED" } } }, { status: 503, json: { error: { code: 503 } } }, reply(["Third time lucky."])];
+  assert.equal(await ask("retry me"), "Third time lucky.");
+  assert.equal(gemini.requests.length, 3);
+  assert.equal(delta(before, "ai_retries"), 2);
+  assert.equal(delta(before, "ai_errors"), 0);
+});
+
+test('a client error is not retried', async () => {
+  const before = { ...bot.metrics };
+  queue = [{ status: 400, json: { error: { code: 400, message: "API key not valid" } } }];
+  assert.equal(await ask("bad request"), null);
+  assert.equal(gemini.requests.length, 1);
+  assert.equal(delta(before, "ai_errors"), 1);
+});
+
+test('a request that outlives AI_TIMEOUT_MS is aborted and retried until it gives up', async () => {
+  const before = { ...bot.metrics };
+  const slow = { ...reply(["Too late."]), delayMs: 500 };
+  queue = [slow, slow, slow];
+  assert.equal(await ask("slow"), null);
+  assert.equal(gemini.requests.length, 3);
+  assert.equal(delta(before, "ai_retries"), 2);
+  assert.equal(delta(before, "ai_errors"), 1);
+});
+
+test('a SAFETY finish reason is answered with the blocked reply', async () => {
+  const before = { ...bot.metrics };
+  queue = [{ json: { candidates: [{ finishReason: "SAFETY", safetyRatings: [{ category: "HARM_CATEGORY_HARASSMENT", probability: "HIGH" }] }] } }];
+  const answer = await ask("something nasty");
+  assert.match(answer, /can't help with that/);
+  assert.equal(delta(before, "ai_blocked"), 1);
+});
+
+test('promptFeedback.blockReason is answered with the blocked reply', async () => {
+  queue = [{ json: { promptFeedback: { blockReason: "PROHIBITED_CONTENT" } } }];
+  assert.match(await ask("something worse"), /can't help with that/);
+  assert.deepEqual(bot.extractGeminiText({ promptFeedback: { blockReason: "OTHER" } }), { text: null, finishReason: null, blocked: "OTHER" });
+});
+
+test('a MAX_TOKENS answer is cut back to the last full sentence', async () => {
+  queue = [reply(["Registration is open to everyone. You can sign up from the menu. Volunteers also get a cert"], "MAX_TOKENS")];
+  assert.equal(await ask("how do I register"), "Registration is open to everyone. You can sign up from the menu.");
+});
+
+test('an empty candidate list gives no answer', () => {
+  assert.deepEqual(bot.extractGeminiText({ candidates: [] }), { text: null, finishReason: null, blocked: null });
+});
+
+test('flow nodes sharing Devanagari words with the message are sent as grounding', async () => {
+  await ask("स्वयंसेवक कैसे बनें");
+  const system = gemini.requests[0].body.systemInstruction.parts[0].text;
+  assert.match(system, /स्वयंसेवक फॉर्म भरें/);
+  assert.doesNotMatch(system, /पंजीकरण के लिए/);
+});
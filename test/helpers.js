@@ -0,0 +1,70 @@
+// Shared by the *.test.js files; not a test itself
+const http = require('http');
+
+// Starts an express app (or a plain request handler) on a free port
+async function listen(handler) {
+  const server = typeof handler.listen === 'function' ? handler.listen(0) : http.createServer(handler).listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  return { url: `http://127.0.0.1:${server.address().port}`, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+// Stub upstream: each request gets the next entry of `responses` (the last one repeats);
+// an entry is { status, json, headers, delayMs } or a function (req, body) returning one
+async function stubServer(responses) {
+  const requests = [];
+  const server = await listen(async (req, res) => {
+    let raw = "";
+    for await (const chunk of req) raw += chunk;
+    const body = raw ? JSON.parse(raw) : null;
+    requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+    let next = responses[Math.min(requests.length - 1, responses.length - 1)];
+    if (typeof next === 'function') next = next(req, body);
+    if (next.delayMs) await new Promise(resolve => setTimeout(resolve, next.delayMs));
+    if (res.destroyed) return;
+    res.writeHead(next.status || 200, { 'Content-Type': 'application/json', ...next.headers });
+    res.end(next.json === undefined ? "" : JSON.stringify(next.json));
+  });
+  return { ...server, requests };
+}
+
+// Call before requiring index.js, which keeps its own reference to fetch. Graph API calls are recorded in
+// `graph.calls` and answered by `graph.respond(body, url)` ({ status, json }, default: a new wamid);
+// every other request goes to the real fetch.
+let graph;
+function mockGraph() {
+  const realFetch = globalThis.fetch;
+  graph = {
+    calls: [],
+    respond: () => ({ status: 200, json: { messages: [{ id: `wamid.test${graph.calls.length}` }] } })
+  };
+  globalThis.fetch = async (url, init = {}) => {
+    if (!String(url).startsWith("https://graph.facebook.com/")) return realFetch(url, init);
+    const body = init.body ? JSON.parse(init.body) : null;
+    graph.calls.push({ url: String(url), body });
+    const { status = 200, json } = await graph.respond(body, String(url));
+    return new Response(JSON.stringify(json), { status, headers: { 'Content-Type': 'application/json' } });
+  };
+  return graph;
+}
+
+let seq = 0;
+// Sends one message from `from` (or the same message from each of several senders, in a single delivery) through the
+// webhook pipeline and returns the texts the bot replied with. Needs mockGraph() and index.js to be loaded first.
+// `message` holds the type-specific fields and may fix the message id.
+async function deliver(from, message) {
+  const { processWebhookSafely } = require('../index.js');
+  const senders = [].concat(from);
+  graph.calls.length = 0;
+  await processWebhookSafely({ entry: [{ id: "102290129340398", changes: [{ field: "messages", value: {
+    metadata: { phone_number_id: "106540352242922" },
+    contacts: senders.map(wa_id => ({ profile: { name: "Asha" }, wa_id })),
+    messages: senders.map(wa_id => ({ from: wa_id, id: `wamid.in${++seq}`, timestamp: "1718880000", ...message }))
+  } }] }] });
+  return graph.calls.map(c => c.body.text?.body || c.body.interactive?.body?.text);
+}
+
+const deliverText = (from, text) => deliver(from, { type: "text", text: { body: text } });
+// A tap on a reply button
+const deliverButton = (from, id, title) => deliver(from, { type: "interactive", interactive: { type: "button_reply", button_reply: { id, title } } });
+
+module.exports = { listen, stubServer, mockGraph, deliver, deliverText, deliverButton };
@@ -0,0 +1,64 @@
+process.env.WHATSAPP_TOKEN = "test-token";
+process.env.WHATSAPP_PHONE_ID = "106540352242922";
+process.env.FLOW_FILE = `${__dirname}/fixtures/http-flow.json`;
+process.env.FLOW_SECRET_API_TOKEN = "backend-s3cret";
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mockGraph, stubServer, deliverText } = require('./helpers.js');
+mockGraph();
+const { loadFlowFromGoogleSheet, validateFlow } = require('../index.js');
+
+let queue = [];
+let backend;
+test.before(async () => {
+  backend = await stubServer([() => queue.shift() || { status: 500, json: { error: "unexpected call" } }]);
+  // Secrets are read when the node runs, so the stub's port can be filled in after loading
+  process.env.FLOW_SECRET_API_BASE = backend.url;
+  await loadFlowFromGoogleSheet();
+});
+test.after(() => backend.close());
+test.beforeEach(() => { backend.requests.length = 0; });
+
+const order = async (from, item) => {
+  assert.deepEqual(await deliverText(from, "order"), ["What would you like to order?"]);
+  return deliverText(from, item);
+};
+
+test('an http_url may take its base from a secret', async () => {
+  const flow = await loadFlowFromGoogleSheet();
+  assert.deepEqual(validateFlow(flow).errors, []);
+  const saveOrder = flow.find(n => n.node_id === "save_order");
+  const literal = { ...saveOrder, http: { ...saveOrder.http, url: "ftp://example.com/orders" } };
+  assert.deepEqual(validateFlow(flow.map(n => n === saveOrder ? literal : n)).errors.map(e => e.code), ["invalid_http_url"]);
+});
+
+test('the body template, secret headers and response map reach the backend and the reply', async () => {
+  queue = [{ status: 201, json: { data: { id: "ORD-1" } } }];
+  assert.deepEqual(await order("919800000101", 'Chai "masala" & co'), ["Order ORD-1 saved (201)"]);
+  const [request] = backend.requests;
+  assert.equal(request.method, "POST");
+  assert.equal(request.url, "/orders?channel=whatsapp");
+  assert.equal(request.headers.authorization, "Bearer backend-s3cret");
+  assert.equal(request.headers["x-source"], "whatsapp");
+  assert.deepEqual(request.body, { item: 'Chai "masala" & co', customer: "Asha" });
+});
+
+test('a 5xx response is retried', async () => {
+  queue = [{ status: 503, json: { error: "busy" } }, { status: 200, json: { data: { id: "ORD-2" } } }];
+  assert.deepEqual(await order("919800000102", "samosa"), ["Order ORD-2 saved (200)"]);
+  assert.equal(backend.requests.length, 2);
+});
+
+test('a request that times out on every attempt takes the on_error_next_id branch', async () => {
+  const slow = { status: 200, json: { data: { id: "late" } }, delayMs: 600 };
+  queue = [slow, slow];
+  assert.deepEqual(await order("919800000103", "vada pav"), ["Sorry, we could not save vada pav"]);
+  assert.equal(backend.requests.length, 2);
+});
+
+test('a 4xx response is not retried and takes the on_error_next_id branch', async () => {
+  queue = [{ status: 422, json: { message: "item unavailable" } }];
+  assert.deepEqual(await order("919800000104", "dosa"), ["Sorry, we could not save dosa"]);
+  assert.equal(backend.requests.length, 1);
+});
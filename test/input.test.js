@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateInput } = require('../index.js');
+
+const check = (input_type, raw) => validateInput({ input_type }, raw);
+
+test('number input takes plain decimals, with thousands separators and Devanagari digits', () => {
+  assert.deepEqual(check("number", "42"), { ok: true, value: 42 });
+  assert.deepEqual(check("number", "-3.5"), { ok: true, value: -3.5 });
+  assert.deepEqual(check("number", "1,25,000"), { ok: true, value: 125000 });
+  assert.deepEqual(check("number", "125,000.50"), { ok: true, value: 125000.5 });
+  assert.deepEqual(check("number", "४२"), { ok: true, value: 42 });
+});
+
+test('number input rejects what Number() would otherwise accept', () => {
+  for (const raw of ["Infinity", "-Infinity", "1e5", "0x10", "0b11", "", " ", "12abc", "1.", ".5", "NaN", "1,2,3", "12,34", ",100", "1000,000"]) {
+    assert.deepEqual(check("number", raw), { ok: false }, raw);
+  }
+});
+
+test('phone, pincode and date inputs are normalized', () => {
+  assert.deepEqual(check("phone", "+91 98765-43210"), { ok: true, value: "9876543210" });
+  assert.deepEqual(check("pincode", "110 001"), { ok: true, value: "110001" });
+  assert.deepEqual(check("pincode", "010001"), { ok: false });
+  assert.deepEqual(check("date", "31/12/2024"), { ok: true, value: "2024-12-31" });
+  assert.deepEqual(check("date", "31/02/2024"), { ok: false });
+});
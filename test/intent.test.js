@@ -0,0 +1,41 @@
+process.env.WHATSAPP_TOKEN = "test-token";
+process.env.WHATSAPP_PHONE_ID = "106540352242922";
+process.env.FLOW_FILE = `${__dirname}/fixtures/intent-flow.csv`;
+process.env.AI_PROVIDER = "echo";
+process.env.AI_MODE = "classify";
+process.env.AI_INTENT_THRESHOLD = "0.7";
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mockGraph, deliverText } = require('./helpers.js');
+mockGraph();
+const { classifyIntent, loadFlowFromGoogleSheet, validateFlow } = require('../index.js');
+
+test.before(() => loadFlowFromGoogleSheet());
+
+test('the echo provider scores keyword overlap', async () => {
+  assert.deepEqual(await classifyIntent("please volunteer signup for me"), { node_id: "volunteer", confidence: 1, reason: 'keyword "volunteer signup"' });
+  assert.deepEqual(await classifyIntent("how do I signup"), { node_id: "volunteer", confidence: 0.5, reason: 'keyword "volunteer signup"' });
+  assert.deepEqual(await classifyIntent("what is the weather"), { node_id: null, confidence: 0, reason: "no keyword" });
+});
+
+test('the echo provider matches keywords on word boundaries', async () => {
+  assert.deepEqual(await classifyIntent("this is great"), { node_id: null, confidence: 0, reason: "no keyword" });
+  assert.deepEqual(await classifyIntent("Hi, there"), { node_id: "start", confidence: 1, reason: 'keyword "hi"' });
+});
+
+test('a node reached only through its synonyms is an entry point and an intent candidate', async () => {
+  const report = validateFlow(await loadFlowFromGoogleSheet());
+  assert.deepEqual(report.warnings.filter(w => w.node_id === "donate"), []);
+  assert.deepEqual(await classifyIntent("can I give money"), { node_id: "donate", confidence: 1, reason: 'keyword "give money"' });
+});
+
+test('a classification above AI_INTENT_THRESHOLD routes into the flow', async () => {
+  await deliverText("919800000001", "hi");
+  assert.deepEqual(await deliverText("919800000001", "please volunteer signup for me"), ["Fill in the volunteer form"]);
+});
+
+test('a classification below AI_INTENT_THRESHOLD falls back to a generated answer', async () => {
+  await deliverText("919800000002", "hi");
+  assert.deepEqual(await deliverText("919800000002", "how do I signup"), ["Echo: how do I signup"]);
+});
@@ -0,0 +1,24 @@
+process.env.FLOW_FILE = `${__dirname}/fixtures/hindi-kb`;
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadKnowledgeBaseFromGoogleSheet, searchKnowledgeBase } = require('../index.js');
+
+test.before(() => loadKnowledgeBaseFromGoogleSheet());
+
+const top = (q, opts) => searchKnowledgeBase(q, opts).map(r => r.question);
+
+test('Devanagari words keep their vowel signs and anusvara when indexed', () => {
+  // "पंजीकरण" and "हिंदी" contain combining marks (\p{M}); splitting on them would leave fragments
+  assert.deepEqual(top("पंजीकरण"), ["हिंदी में पंजीकरण कैसे करें?"]);
+  assert.deepEqual(top("हिंदी"), ["हिंदी में पंजीकरण कैसे करें?"]);
+  assert.deepEqual(top("स्वयंसेवक बनना है"), ["स्वयंसेवक कैसे बनें?"]);
+});
+
+test('a fragment of a Hindi word does not match', () => {
+  assert.deepEqual(top("करण", { minScore: 0.01 }), []);
+});
+
+test('English questions still match', () => {
+  assert.deepEqual(top("how to register"), ["How do I register?"]);
+});
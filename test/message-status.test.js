@@ -0,0 +1,46 @@
+process.env.WHATSAPP_TOKEN = "test-token";
+process.env.WHATSAPP_PHONE_ID = "106540352242922";
+process.env.ADMIN_TOKENS = "support:viewer:viewer-token";
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mockGraph, listen } = require('./helpers.js');
+const graph = mockGraph();
+const { app, processWebhookSafely, sendTemplateMessage } = require('../index.js');
+
+let server;
+test.before(async () => { server = await listen(app); });
+test.after(() => server.close());
+
+const statusDelivery = (id, status) => ({
+  entry: [{ id: "102290129340398", changes: [{ field: "messages", value: {
+    metadata: { phone_number_id: "106540352242922" },
+    statuses: [{ id, status, timestamp: "1718880010", recipient_id: "919876543210" }]
+  } }] }]
+});
+const lookup = async wamid => (await fetch(`${server.url}/admin/messages/${wamid}`, { headers: { Authorization: "Bearer viewer-token" } })).json();
+
+test('statuses are applied to the recorded send and never move backwards', async () => {
+  graph.respond = () => ({ json: { messages: [{ id: "wamid.in-order" }] } });
+  await sendTemplateMessage("919876543210", "welcome");
+  await processWebhookSafely(statusDelivery("wamid.in-order", "read"));
+  await processWebhookSafely(statusDelivery("wamid.in-order", "delivered"));
+  const record = await lookup("wamid.in-order");
+  assert.equal(record.status, "read");
+  assert.deepEqual(record.statuses.map(s => s.status), ["read", "delivered"]);
+  assert.equal(record.payload.template.name, "welcome");
+});
+
+test('a status that arrives before the send is recorded is kept', async () => {
+  graph.respond = async () => {
+    // The delivered callback is processed while the Graph response is still on its way
+    await processWebhookSafely(statusDelivery("wamid.early", "delivered"));
+    return { json: { messages: [{ id: "wamid.early" }] } };
+  };
+  await sendTemplateMessage("919876543210", "welcome");
+  const record = await lookup("wamid.early");
+  assert.equal(record.status, "delivered");
+  assert.deepEqual(record.statuses.map(s => s.status), ["delivered"]);
+  assert.equal(record.payload.template.name, "welcome");
+  assert.equal(record.phone_number_id, "106540352242922");
+});
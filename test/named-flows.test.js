@@ -0,0 +1,41 @@
+const path = require('path');
+const fixtures = path.join(__dirname, 'fixtures');
+process.env.WHATSAPP_TOKEN = "test-token";
+process.env.WHATSAPP_PHONE_ID = "106540352242922";
+process.env.FLOWS = JSON.stringify([
+  { name: "main", file: path.join(fixtures, "conversation-flow.csv"), default: true, fallback_text: "Say hi to see the menu" },
+  { name: "partner", file: path.join(fixtures, "flows", "bundle"), phone_number_ids: ["106540352242922"], fallback_text: "Our partner desk will reply soon" },
+  { name: "volunteer", file: path.join(fixtures, "intent-flow.csv"), entry_keywords: ["Volunteer"], referrals: ["ad_42"] }
+]);
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mockGraph, deliverText } = require('./helpers.js');
+mockGraph();
+const { loadFlowFromGoogleSheet, selectFlow } = require('../index.js');
+
+test.before(async () => {
+  for (const name of ["main", "partner", "volunteer"]) await loadFlowFromGoogleSheet(name);
+});
+
+test('selectFlow picks a flow by phone_number_id, falling back to the default flow', () => {
+  assert.deepEqual(selectFlow({ phoneNumberId: "106540352242922" }), { name: "partner", entered: false });
+  assert.deepEqual(selectFlow({ phoneNumberId: "999999999999999" }), { name: "main", entered: false });
+  // A flow bound to other numbers is not kept as the current one
+  assert.deepEqual(selectFlow({ phoneNumberId: "999999999999999", current: "partner" }), { name: "main", entered: false });
+  assert.deepEqual(selectFlow({ phoneNumberId: "106540352242922", current: "volunteer" }), { name: "volunteer", entered: false });
+});
+
+test('selectFlow enters a flow by entry keyword or ad referral', () => {
+  assert.deepEqual(selectFlow({ phoneNumberId: "106540352242922", text: "volunteer!" }), { name: "volunteer", entered: true });
+  assert.deepEqual(selectFlow({ phoneNumberId: "106540352242922", text: "I want to volunteer" }), { name: "partner", entered: false });
+  assert.deepEqual(selectFlow({ referral: { source_id: "ad_42", source_type: "ad" }, current: "main" }), { name: "volunteer", entered: true });
+  assert.deepEqual(selectFlow({ referral: { source_id: "ad_7" }, current: "main" }), { name: "main", entered: false });
+});
+
+test('unmatched messages get the fallback text of their own flow', async () => {
+  assert.deepEqual(await deliverText("919800000501", "what is this"), ["Our partner desk will reply soon"]);
+  assert.deepEqual(await deliverText("919800000502", "volunteer"), ["Welcome to Avasar"]);
+  // The volunteer flow sets no fallback_text, so the built-in one applies there
+  assert.deepEqual(await deliverText("919800000502", "what is this"), ["Welcome to Avasar, I'm Avasar bot, currently under development."]);
+});
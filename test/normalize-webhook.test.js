@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeWebhook } = require('../index.js');
+
+const fixture = name => require(`./fixtures/webhooks/${name}.json`);
+const summary = events => events.map(e => [e.kind, e.phone_number_id, e.wa_id, e.contact_name]);
+
+test('normalizeWebhook flattens every entry and change of a batch in order', () => {
+  const events = normalizeWebhook(fixture('batch'));
+  assert.deepEqual(summary(events), [
+    ["message", "106540352242922", "919876543210", "Asha Verma"],
+    ["message", "106540352242922", "919876543210", "Asha Verma"],
+    ["status", "106540352242923", "918811223344", null],
+    ["status", "106540352242923", "918990011223", null],
+    ["call", "106540352242924", "917700112233", "Ravi Kumar"],
+    ["error", "106540352242924", null, null]
+  ]);
+});
+
+test('normalizeWebhook keeps entry and change metadata on every event', () => {
+  const [message, , status, , call, error] = normalizeWebhook(fixture('batch'));
+  assert.deepEqual(
+    { field: message.field, waba_id: message.waba_id, display_phone_number: message.display_phone_number },
+    { field: "messages", waba_id: "102290129340398", display_phone_number: "15550783881" }
+  );
+  assert.equal(message.data.text.body, "hi");
+  assert.equal(status.data.status, "delivered");
+  assert.equal(call.field, "calls");
+  assert.equal(call.waba_id, "102290129340399");
+  assert.equal(call.data.event, "connect");
+  assert.equal(error.data.code, 131051);
+});
+
+test('normalizeWebhook passes status errors through on the status event', () => {
+  const failed = normalizeWebhook(fixture('batch')).find(e => e.kind === "status" && e.data.status === "failed");
+  assert.equal(failed.data.errors[0].code, 131047);
+});
+
+test('normalizeWebhook matches contact names by wa_id when a change has several contacts', () => {
+  const events = normalizeWebhook(fixture('group-contacts'));
+  assert.deepEqual(summary(events), [
+    ["message", "106540352242922", "919812345678", "Meena Iyer"],
+    ["message", "106540352242922", "919800000000", null]
+  ]);
+  assert.equal(events[0].data.type, "location");
+});
+
+test('normalizeWebhook returns no events for empty or malformed bodies', () => {
+  assert.deepEqual(normalizeWebhook(null), []);
+  assert.deepEqual(normalizeWebhook({}), []);
+  assert.deepEqual(normalizeWebhook({ entry: [{ id: "1" }, { changes: [{ value: null }] }] }), []);
+});
@@ -0,0 +1,121 @@
+process.env.WHATSAPP_TOKEN = "test-token";
+process.env.WHATSAPP_PHONE_ID = "106540352242922";
+process.env.FLOW_FILE = `${__dirname}/fixtures/intent-flow.csv`;
+process.env.AI_PROVIDER = "echo";
+process.env.REENGAGEMENT_TEMPLATE = "avasar_reengage";
+process.env.OUTBOUND_MAX_ATTEMPTS = "3";
+process.env.OUTBOUND_RETRY_BASE_MS = "150";
+process.env.ADMIN_TOKENS = "ops:operator:operator-token";
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mockGraph, listen, deliverText } = require('./helpers.js');
+const graph = mockGraph();
+const bot = require('../index.js');
+
+const ok = id => ({ json: { messages: [{ id }] } });
+const graphError = (status, code, message) => ({ status, json: { error: { code, message, type: "OAuthException" } } });
+
+let server;
+test.before(async () => {
+  await bot.loadFlowFromGoogleSheet();
+  server = await listen(bot.app);
+});
+test.after(() => server.close());
+test.beforeEach(() => { graph.calls.length = 0; });
+
+const admin = (method, path) => fetch(`${server.url}/admin${path}`, { method, headers: { "X-API-Key": "operator-token" } })
+  .then(async res => ({ status: res.status, json: await res.json() }));
+const deadLettersFor = async to => (await admin("GET", `/dead-letters?to=${to}`)).json.entries;
+
+test('a recipient whose sends keep failing does not hold up others in the same delivery', async () => {
+  const sentAt = {};
+  const start = Date.now();
+  graph.respond = body => {
+    (sentAt[body.to] ||= []).push(Date.now() - start);
+    return body.to === "919800000301" ? graphError(503, 131000, "Something went wrong") : ok("wamid.good");
+  };
+  await deliverText(["919800000301", "919800000302"], "hi");
+  assert.equal(sentAt["919800000301"].length, 3);
+  assert.equal(sentAt["919800000302"].length, 1);
+  // The good send went out right away, not after the failing recipient's backoff
+  assert.ok(sentAt["919800000302"][0] < sentAt["919800000301"][1], JSON.stringify(sentAt));
+});
+
+test('messages to one recipient keep their order across retries', async () => {
+  let failures = 1;
+  graph.respond = body => {
+    if (body.template.name === "first" && failures-- > 0) return graphError(429, 130429, "Rate limit hit");
+    return ok(`wamid.${body.template.name}`);
+  };
+  const results = await Promise.all(["first", "second"].map(name => bot.sendTemplateMessage("919800000303", name)));
+  assert.deepEqual(results.map(r => r.messages[0].id), ["wamid.first", "wamid.second"]);
+  assert.deepEqual(graph.calls.map(c => c.body.template.name), ["first", "first", "second"]);
+});
+
+test('a permanent Graph error is dead-lettered after one attempt and can be replayed', async () => {
+  graph.respond = () => graphError(400, 132001, "Template name does not exist in the translation");
+  const before = bot.metrics.outbound_dead_lettered;
+  await bot.sendTemplateMessage("919800000304", "missing_template");
+  assert.equal(graph.calls.length, 1);
+  assert.equal(bot.metrics.outbound_dead_lettered, before + 1);
+
+  const [entry] = await deadLettersFor("919800000304");
+  assert.deepEqual([entry.status, entry.classification, entry.attempts, entry.error.code], ["dead", "permanent", 1, 132001]);
+  assert.equal(entry.payload.template.name, "missing_template");
+
+  graph.respond = () => ok("wamid.replayed");
+  const replay = await admin("POST", `/dead-letters/${entry.id}/replay`);
+  assert.equal(replay.status, 200);
+  assert.deepEqual([replay.json.status, replay.json.wamid, replay.json.replays], ["replayed", "wamid.replayed", 1]);
+});
+
+test('a send outside the 24h window is answered with the re-engagement template, not dead-lettered', async () => {
+  graph.respond = body => body.type === "template" ? ok("wamid.reengage") : graphError(400, 131047, "Re-engagement message");
+  const before = bot.metrics.outbound_dead_lettered;
+  await deliverText("919800000305", "hi");
+  assert.deepEqual(graph.calls.map(c => c.body.template?.name || c.body.type), ["interactive", "avasar_reengage"]);
+  assert.equal(bot.metrics.outbound_dead_lettered, before);
+  assert.deepEqual(await deadLettersFor("919800000305"), []);
+});
+
+test('a send outside the window is dead-lettered when the re-engagement template is throttled, and stays parked on replay', async () => {
+  graph.respond = body => body.type === "template" ? ok("wamid.reengage") : graphError(400, 131047, "Re-engagement message");
+  await deliverText("919800000307", "hi");
+  const before = bot.metrics.outbound_dead_lettered;
+  graph.calls.length = 0;
+  await deliverText("919800000307", "hi");
+  assert.deepEqual(graph.calls.map(c => c.body.type), ["interactive"]);
+  assert.equal(bot.metrics.outbound_dead_lettered, before + 1);
+
+  const [entry] = await deadLettersFor("919800000307");
+  assert.deepEqual([entry.status, entry.error.code], ["dead", 131047]);
+  graph.calls.length = 0;
+  const replay = await admin("POST", `/dead-letters/${entry.id}/replay`);
+  assert.equal(replay.status, 502);
+  assert.deepEqual([replay.json.status, replay.json.replays], ["dead", 1]);
+  assert.deepEqual(graph.calls.map(c => c.body.type), ["interactive"]);
+});
+
+test('a failed park is not counted as dead-lettered', async () => {
+  const save = bot.deadLetterStore.save;
+  bot.deadLetterStore.save = async () => { throw new Error("store unavailable"); };
+  graph.respond = () => graphError(400, 100, "Invalid parameter");
+  const before = bot.metrics.outbound_dead_lettered;
+  try {
+    await bot.sendTemplateMessage("919800000306", "welcome");
+  } finally {
+    bot.deadLetterStore.save = save;
+  }
+  assert.equal(bot.metrics.outbound_dead_lettered, before);
+});
+
+test('Graph errors are classified by code, then by HTTP status', () => {
+  assert.equal(bot.classifyGraphError(400, { code: 131047 }), "permanent");
+  assert.equal(bot.classifyGraphError(400, { code: 131056 }), "transient");
+  assert.equal(bot.classifyGraphError(500, { code: 190 }), "permanent");
+  assert.equal(bot.classifyGraphError(503, {}), "transient");
+  assert.equal(bot.classifyGraphError(null, null), "transient");
+  assert.equal(bot.classifyGraphError(400, { code: 99999 }), "permanent");
+  assert.equal(bot.classifyGraphError(400, { code: 99999, is_transient: true }), "transient");
+});
@@ -0,0 +1,56 @@
+process.env.META_APP_SECRET = "test-app-secret";
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { app, computeSignature, isValidSignature } = require('../index.js');
+const { listen } = require('./helpers.js');
+
+// A status-only delivery: accepted without sending anything back
+const payload = JSON.stringify({
+  object: "whatsapp_business_account",
+  entry: [{ id: "102290129340398", changes: [{ field: "messages", value: { metadata: { phone_number_id: "106540352242922" }, statuses: [] } }] }]
+});
+const sign = body => "sha256=" + crypto.createHmac("sha256", "test-app-secret").update(body).digest("hex");
+
+let server;
+test.before(async () => { server = await listen(app); });
+test.after(() => server.close());
+
+const post = (headers = {}, body = payload) => fetch(`${server.url}/webhook`, { method: "POST", headers: { "Content-Type": "application/json", ...headers }, body });
+const metrics = async () => (await (await fetch(`${server.url}/health`)).json()).metrics;
+
+test('computeSignature matches a locally signed payload', () => {
+  assert.equal(computeSignature(Buffer.from(payload), "test-app-secret"), sign(payload));
+  assert.equal(isValidSignature(Buffer.from(payload), sign(payload), "test-app-secret"), true);
+  assert.equal(isValidSignature(Buffer.from(payload), "sha256=00", "test-app-secret"), false);
+});
+
+test('a correctly signed webhook POST is accepted', async () => {
+  const before = await metrics();
+  const res = await post({ "X-Hub-Signature-256": sign(payload) });
+  assert.equal(res.status, 200);
+  assert.equal((await metrics()).webhook_received, before.webhook_received + 1);
+});
+
+test('a webhook POST without a signature is rejected', async () => {
+  const before = await metrics();
+  const res = await post();
+  assert.equal(res.status, 401);
+  const after = await metrics();
+  assert.equal(after.signature_missing, before.signature_missing + 1);
+  assert.equal(after.webhook_received, before.webhook_received);
+});
+
+test('a webhook POST with a wrong signature is rejected', async () => {
+  const before = await metrics();
+  const res = await post({ "X-Hub-Signature-256": sign(payload + " ") });
+  assert.equal(res.status, 401);
+  assert.equal((await metrics()).signature_invalid, before.signature_invalid + 1);
+});
+
+test('the signature covers the exact bytes, not the parsed JSON', async () => {
+  const reformatted = JSON.stringify(JSON.parse(payload), null, 2);
+  const res = await post({ "X-Hub-Signature-256": sign(payload) }, reformatted);
+  assert.equal(res.status, 401);
+});